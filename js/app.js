@@ -7,18 +7,301 @@ class EVModellingApp {
         this.currentStage = 'adoption_propensity';
         this.currentBasemap = 'light';
         this.activeLayers = [];
+        this.hiddenLayers = [];  // Analysis layers hidden with the analysis layer toggle, kept with their tiles
         this.showChargers = true;  // Show chargers by default
         this.showAnalysisLayer = true;  // Show analysis layer by default
         this.showCarAvailability = false;  // Car availability overlay
         this.showEvDistribution = false;  // EV distribution overlay
+        this.initialCamera = null;  // Camera restored from the URL hash, if any
+        this.stageDomain = null;  // [min, max] of the stage's colour property
+        this.overlayDomains = {};  // Same, per overlay id
+        this.domainRequests = {};  // Pending domain lookups from rendered features
+        this.classifications = {};  // Classification setting per stage id
+        this.stageClasses = null;  // Computed classes for the current stage, if classified
+        this.rangeKm = RANGE.defaultKm;  // EV range the range feasibility lines are classified for
+        this.weights = { ...WEIGHTING.defaultWeights };  // Custom integrated score weights by property
+        this.weightComponents = [];  // Weightable indicators of the shown integrated archives
+        this.showCustomScore = false;  // Colour the integrated stage by the custom score
+        this.showBivariate = false;  // Colour polygon stages by two attributes
+        this.bivariate = { x: null, y: null };  // Keys of the two attributes (see BIVARIATE.getAttributes)
+        this.bivariateAttributes = [];  // Attributes that can be chosen for the current stage
+        this.bivariateBreaks = null;  // Tertile breaks in use, kept until the attributes or layers change
+        this.bivariateLegend = null;  // Legend of the bivariate styling shown
+        this.bivariateRequest = null;  // Pending bivariate update, replaced by newer requests
+        this.timeline = null;  // { target, kind, periods, domain, index } of the layer animated, 'stage' or an overlay id
+        this.timelineTimer = null;  // Interval advancing the timeline while playing
+        this.overlayOrder = [...URL_STATE.defaultOverlayOrder];  // Polygon overlays, topmost first
+        this.draggedOverlay = null;
+        this.layerAppearance = Object.fromEntries(  // Opacity and outline per layer (see CONFIG.layerAppearance)
+            Object.entries(CONFIG.layerAppearance).map(([key, appearance]) => [key, { ...appearance }])
+        );
+        this.filters = {};  // Attribute filters by attribute name, kept across stage/region switches
+        this.stageAttributes = [];  // Filterable attributes of the current stage (from the manifest)
+        this.compare = new CompareView(this);  // Right-hand side of the swipe comparison
+        this.tiles = null;  // TileTracker of the main map
+        this.searchResults = [];  // Entries currently listed under the search box
+        this.searchActiveIndex = -1;  // Keyboard-selected entry in that list
+        this.searchResult = null;  // Entry that was picked and is highlighted on the map
+        this.hoveredFeature = null;  // Target (see getFeatureTarget) with feature-state `hover`
+        this.selectedFeature = null;  // Same, with `selected`, while the info panel shows it
+        this.copiedHighlights = { hover: null, selected: null };  // Targets without an id, drawn by LAYERS.setHighlight
+        this.tooltip = null;  // Hover popup
+        this.statsRequest = null;  // Pending stats update, replaced by newer requests
+        this.chargerFilter = { town: '', minPoints: 1 };  // Applied before clustering
+        this.clusterPopup = null;  // Member list of a clicked charger cluster
+        this.coverageChargers = new Map();  // Chargers with coverage buffers, by poi_id
+        this.coverageRequest = null;  // Pending coverage update, replaced by newer requests
+        this.scenarioZones = [];  // Recomputed zones near hypothetical chargers
+        this.scenarioRequest = null;  // Pending scenario update, replaced by newer requests
+        this.scenarioPopup = null;  // Editor of a clicked hypothetical charger
+        this.flowMode = false;  // Origin–destination mode on the line stages
+        this.flowArrows = true;  // Direction arrows in that mode
+        this.flowZone = null;  // Code of the zone whose flows are shown
+        this.flowZoneLayers = [];  // Clickable zone layers added for the flow mode
+        this.flowRequest = null;  // Pending flow update, replaced by newer requests
 
         this.init();
     }
 
+    /**
+     * Restore region, stage, basemap, overlays and camera from the URL hash
+     */
+    restoreStateFromUrl() {
+        const state = URL_STATE.sanitize(URL_STATE.parse(window.location.hash), this.getUrlState());
+        this.setStateFields(state);
+        this.initialCamera = state.camera || null;
+    }
+
+    /**
+     * Copy the URL-backed fields of a sanitized state object onto the app
+     */
+    setStateFields(state) {
+        this.currentRegion = state.region;
+        this.currentStage = state.stage;
+        this.currentBasemap = state.basemap;
+        this.showAnalysisLayer = state.showAnalysisLayer;
+        this.showChargers = state.showChargers;
+        this.showCarAvailability = state.showCarAvailability;
+        this.showEvDistribution = state.showEvDistribution;
+        this.rangeKm = state.rangeKm;
+        this.overlayOrder = state.overlayOrder;
+    }
+
+    /**
+     * Collect the state that is encoded in the URL hash
+     */
+    getUrlState() {
+        const state = {
+            region: this.currentRegion,
+            stage: this.currentStage,
+            basemap: this.currentBasemap,
+            showAnalysisLayer: this.showAnalysisLayer,
+            showChargers: this.showChargers,
+            showCarAvailability: this.showCarAvailability,
+            showEvDistribution: this.showEvDistribution,
+            rangeKm: this.rangeKm,
+            overlayOrder: this.overlayOrder
+        };
+
+        if (this.map) {
+            const center = this.map.getCenter();
+            state.camera = {
+                zoom: this.map.getZoom(),
+                center: [center.lng, center.lat],
+                bearing: this.map.getBearing(),
+                pitch: this.map.getPitch()
+            };
+        }
+
+        return state;
+    }
+
+    /**
+     * Write the current state to the URL hash without adding a history entry
+     */
+    updateUrl() {
+        const hash = URL_STATE.serialize(this.getUrlState());
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    /**
+     * Apply a hash edited by the user (or pasted link opened in the same tab)
+     */
+    applyUrlState() {
+        const previous = this.getUrlState();
+        const parsed = URL_STATE.parse(window.location.hash);
+        const state = URL_STATE.sanitize(parsed, previous);
+        this.setStateFields(state);
+        this.syncControls();
+        this.registry.setOrder('overlay', [...this.overlayOrder].reverse());
+
+        if (state.basemap !== previous.basemap) {
+            // changeBasemap re-adds every layer once the new style has loaded
+            this.changeBasemap();
+        } else {
+            this.updateLayers();
+            this.updateChargerLayer();
+            this.updateOverlayLayers();
+        }
+        this.updateLegend();
+
+        if (parsed.camera && state.camera) {
+            this.map.jumpTo(state.camera);
+        } else if (state.region !== previous.region) {
+            this.flyToRegion();
+        }
+        this.renderDashboard();
+
+        // Rewrite the hash so invalid values are replaced by their fallbacks
+        this.updateUrl();
+    }
+
+    /**
+     * Build the region options and stage radios from the manifest
+     */
+    buildControls() {
+        const regionSelect = document.getElementById('region-select');
+        regionSelect.innerHTML = '<option value="all">All Regions</option>';
+        MANIFEST.getRegions().forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.id;
+            option.textContent = region.hasData ? region.name : `${region.name} (no data)`;
+            option.disabled = !region.hasData;
+            regionSelect.appendChild(option);
+        });
+
+        const stageToggles = document.getElementById('stage-toggles');
+        stageToggles.innerHTML = '';
+        CONFIG.stages.forEach(stage => {
+            const label = document.createElement('label');
+            label.title = stage.description;
+            label.innerHTML = `
+                <input type="radio" name="stage" value="${stage.id}">
+                ${stage.name}
+            `;
+            stageToggles.appendChild(label);
+        });
+
+        // One style card per layer in CONFIG.layerAppearance
+        const appearanceNames = {
+            analysis: 'Analysis Layer',
+            chargers: 'Charging Stations',
+            ...Object.fromEntries(CONFIG.overlayLayers.map(overlay => [overlay.id, overlay.name]))
+        };
+        const paletteControls = `
+            <div class="appearance-palette">
+                <select class="panel-select" data-property="palette" title="Colour palette"></select>
+                <div class="appearance-options">
+                    <label class="toggle-label compact">
+                        <input type="checkbox" data-property="reverse">
+                        <span class="toggle-text">Reverse</span>
+                    </label>
+                    <input type="number" class="panel-input" data-property="midpoint" step="any" placeholder="Midpoint" title="Value the diverging palette is centred on (blank for the middle of the range)">
+                </div>
+            </div>
+        `;
+        document.getElementById('appearance-cards').innerHTML = Object.keys(CONFIG.layerAppearance).map(key => `
+            <div class="appearance-card" data-layer="${key}">
+                <div class="appearance-name">${appearanceNames[key] || key}</div>
+                <div class="slider-row">
+                    <label for="appearance-${key}-opacity">Opacity</label>
+                    <input type="range" id="appearance-${key}-opacity" data-property="opacity" min="0" max="100" step="5">
+                    <span class="appearance-opacity"></span>
+                </div>
+                <div class="appearance-outline">
+                    <label class="toggle-label compact">
+                        <input type="checkbox" data-property="outline">
+                        <span class="toggle-text">Outline</span>
+                    </label>
+                    <input type="color" data-property="outlineColor" title="Outline colour">
+                </div>
+                ${key === 'chargers' ? '' : paletteControls}
+            </div>
+        `).join('');
+
+        const cvdPreview = document.getElementById('cvd-preview');
+        cvdPreview.innerHTML = PALETTES.cvdModes.map(mode => `<option value="${mode.id}">${mode.name}</option>`).join('');
+
+        // Overlays without an archive cannot be switched on
+        const overlayToggles = {
+            'charger-toggle': 'chargers',
+            'car-availability-toggle': 'car_availability',
+            'ev-distribution-toggle': 'ev_distribution'
+        };
+        Object.entries(overlayToggles).forEach(([toggleId, archiveId]) => {
+            const toggle = document.getElementById(toggleId);
+            if (toggle && !MANIFEST.get(archiveId)) {
+                toggle.disabled = true;
+                toggle.closest('.toggle-label').classList.add('unavailable');
+                toggle.closest('.toggle-label').title = 'No data available';
+            }
+        });
+    }
+
+    /**
+     * Grey out stages that have no data for the current region
+     */
+    updateStageAvailability() {
+        document.querySelectorAll('input[name="stage"]').forEach(radio => {
+            const available = MANIFEST.hasStage(this.currentRegion, radio.value);
+            radio.disabled = !available;
+            radio.closest('label').classList.toggle('unavailable', !available);
+        });
+    }
+
+    /**
+     * Sync the form controls with the current state
+     */
+    syncControls() {
+        document.getElementById('basemap-select').value = this.currentBasemap;
+        document.getElementById('region-select').value = this.currentRegion;
+
+        document.querySelectorAll('input[name="stage"]').forEach(radio => {
+            radio.checked = radio.value === this.currentStage;
+        });
+
+        const toggles = {
+            'charger-toggle': this.showChargers,
+            'car-availability-toggle': this.showCarAvailability,
+            'ev-distribution-toggle': this.showEvDistribution,
+            'analysis-layer-toggle': this.showAnalysisLayer
+        };
+        Object.entries(toggles).forEach(([id, checked]) => {
+            const toggle = document.getElementById(id);
+            if (toggle) toggle.checked = checked;
+        });
+
+        const stageToggles = document.getElementById('stage-toggles');
+        if (stageToggles) {
+            stageToggles.classList.toggle('disabled', !this.showAnalysisLayer);
+        }
+
+        this.updateOverlayOrderControls();
+        this.updateStageAvailability();
+        this.updateClassificationControls();
+        this.updateAppearanceControls();
+    }
+
     /**
      * Initialize the application
      */
     async init() {
+        // Discover which PMTiles exist before any state or layers depend on them
+        try {
+            await MANIFEST.load();
+        } catch (error) {
+            console.error('No PMTiles manifest, analysis layers are unavailable:', error);
+            this.showToast('No PMTiles manifest, analysis layers are unavailable', { duration: 0 });
+        }
+
+        this.restoreStateFromUrl();
+        SCENARIO.load();
+        WEIGHTING.load();
+        this.buildControls();
+        this.compare.buildControls();
+
         // Register PMTiles protocol
         const protocol = new pmtiles.Protocol();
         maplibregl.addProtocol('pmtiles', protocol.tile);
@@ -27,16 +310,24 @@ class EVModellingApp {
         const basemapConfig = CONFIG.basemaps[this.currentBasemap];
         const initialStyle = basemapConfig.style;
 
-        // Initialize map
+        // Initialize map (camera from the URL hash takes precedence)
+        const camera = this.initialCamera || {};
         this.map = new maplibregl.Map({
             container: 'map',
             style: initialStyle,
-            center: CONFIG.map.center,
-            zoom: CONFIG.map.zoom,
+            center: camera.center || CONFIG.map.center,
+            zoom: camera.zoom !== undefined ? camera.zoom : CONFIG.map.zoom,
+            bearing: camera.bearing || 0,
+            pitch: camera.pitch || 0,
             minZoom: CONFIG.map.minZoom,
             maxZoom: CONFIG.map.maxZoom,
             maxBounds: CONFIG.map.bounds
         });
+        this.registry = new LayerRegistry(this.map, basemapConfig.labelLayer);
+        this.registry.setOrder('overlay', [...this.overlayOrder].reverse());
+
+        // Track PMTiles loading: a spinner while tiles load, toasts when archives fail
+        this.tiles = new TileTracker(this.map, this.getTileHandlers());
 
         // Add navigation controls
         this.map.addControl(new maplibregl.NavigationControl(), 'top-right');
@@ -44,15 +335,54 @@ class EVModellingApp {
 
         // Wait for map to load
         this.map.on('load', () => {
+            this.syncControls();
             this.setupEventListeners();
+            this.compare.setupEventListeners();
             this.updateLayers();
             this.updateChargerLayer();
             this.updateOverlayLayers();
             this.updateLegend();
+
+            // A shared link with a region but no camera should still open on that region
+            if (!this.initialCamera && this.currentRegion !== 'all') {
+                this.flyToRegion();
+            }
+            this.updateUrl();
+
+            // Keep the URL hash in sync with the camera and react to edited hashes
+            this.map.on('moveend', () => this.updateUrl());
+            this.map.on('moveend', () => this.scheduleStatsUpdate());
+            this.map.on('moveend', () => {
+                if (this.coverageChargers.size > 0) this.updateCoverage();
+            });
+            this.map.on('moveend', () => {
+                if (this.flowZone !== null) this.updateFlows();
+            });
+            this.map.on('moveend', () => {
+                if (SCENARIO.chargers.length > 0) this.updateScenario();
+            });
+            this.map.on('moveend', () => {
+                // Overlay values are joined to the zones loaded, so newly loaded ones need joining
+                if (this.getBivariateAttributes().some(attr => attr.source !== 'stage')) this.applyBivariate();
+            });
+            this.map.on('idle', () => this.updateFilterCount());
+            window.addEventListener('hashchange', () => this.applyUrlState());
         });
 
         // Setup click handler for feature info
         this.map.on('click', (e) => this.handleMapClick(e));
+
+        // Hover tooltip and highlight (one handler for all interactive layers)
+        this.tooltip = new maplibregl.Popup({
+            closeButton: false,
+            closeOnClick: false,
+            offset: 12,
+            className: 'feature-tooltip'
+        });
+        this.clusterPopup = new maplibregl.Popup({ maxWidth: '280px', className: 'cluster-popup' });
+        this.scenarioPopup = new maplibregl.Popup({ maxWidth: '220px', className: 'cluster-popup' });
+        this.map.on('mousemove', (e) => this.handleMapHover(e));
+        this.map.on('mouseout', () => this.clearHover());
     }
 
     /**
@@ -64,14 +394,39 @@ class EVModellingApp {
         basemapSelect.addEventListener('change', (e) => {
             this.currentBasemap = e.target.value;
             this.changeBasemap();
+            this.updateUrl();
         });
 
         // Region selector
         const regionSelect = document.getElementById('region-select');
         regionSelect.addEventListener('change', (e) => {
-            this.currentRegion = e.target.value;
-            this.updateLayers();
-            this.flyToRegion();
+            this.setRegion(e.target.value);
+        });
+
+        // Regional dashboard: sort by header, fly to a region by row
+        document.getElementById('dashboard-button').addEventListener('click', () => {
+            if (document.getElementById('dashboard-panel').classList.contains('hidden')) {
+                this.openDashboard();
+            } else {
+                this.closeDashboard();
+            }
+        });
+        document.getElementById('close-dashboard').addEventListener('click', () => this.closeDashboard());
+
+        const dashboardTable = document.getElementById('dashboard-table');
+        const activateDashboardCell = (target) => {
+            const header = target.closest('th');
+            if (header) {
+                DASHBOARD.setSort(header.dataset.key);
+                this.renderDashboard();
+                return;
+            }
+            const row = target.closest('tr[data-region]');
+            if (row) this.setRegion(row.dataset.region);
+        };
+        dashboardTable.addEventListener('click', (e) => activateDashboardCell(e.target));
+        dashboardTable.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') activateDashboardCell(e.target);
         });
 
         // Stage radio buttons
@@ -81,6 +436,8 @@ class EVModellingApp {
                 this.currentStage = e.target.value;
                 this.updateLayers();
                 this.updateLegend();
+                this.updateClassificationControls();
+                this.updateUrl();
             });
         });
 
@@ -90,9 +447,21 @@ class EVModellingApp {
             chargerToggle.addEventListener('change', (e) => {
                 this.showChargers = e.target.checked;
                 this.updateChargerLayer();
+                this.updateUrl();
             });
         }
 
+        // Charger filters (town and minimum number of points)
+        document.getElementById('charger-town').addEventListener('input', (e) => {
+            this.chargerFilter.town = e.target.value;
+            this.applyChargerFilter();
+        });
+        document.getElementById('charger-min-points').addEventListener('input', (e) => {
+            this.chargerFilter.minPoints = parseInt(e.target.value, 10);
+            document.getElementById('charger-min-points-value').textContent = e.target.value;
+            this.applyChargerFilter();
+        });
+
         // Car availability toggle
         const carAvailabilityToggle = document.getElementById('car-availability-toggle');
         if (carAvailabilityToggle) {
@@ -100,6 +469,7 @@ class EVModellingApp {
                 this.showCarAvailability = e.target.checked;
                 this.updateOverlayLayers();
                 this.updateLegend();
+                this.updateUrl();
             });
         }
 
@@ -110,9 +480,83 @@ class EVModellingApp {
                 this.showEvDistribution = e.target.checked;
                 this.updateOverlayLayers();
                 this.updateLegend();
+                this.updateUrl();
             });
         }
 
+        // Drag the overlay toggles, or use their up and down buttons, to restack the overlays
+        const overlayOrder = document.getElementById('overlay-order');
+        overlayOrder.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-move]');
+            if (!button) return;
+            e.preventDefault();
+            const overlayId = button.closest('[data-overlay]').dataset.overlay;
+            const index = this.overlayOrder.indexOf(overlayId);
+            const down = button.dataset.move === 'down';
+            const targetId = this.overlayOrder[index + (down ? 1 : -1)];
+            if (!targetId) return;
+            this.moveOverlay(overlayId, targetId, down);
+            this.updateUrl();
+            // Moving the toggle drops the focus; keep it on a button of the moved overlay
+            const item = overlayOrder.querySelector(`[data-overlay="${overlayId}"]`);
+            const focus = item.querySelector(`[data-move="${button.dataset.move}"]:not(:disabled)`) ||
+                item.querySelector('[data-move]:not(:disabled)');
+            if (focus) focus.focus();
+        });
+        const clearDropMarks = () => overlayOrder.querySelectorAll('[data-overlay]')
+            .forEach(item => item.classList.remove('drop-before', 'drop-after'));
+        overlayOrder.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('[data-overlay]');
+            if (!item) return;
+            this.draggedOverlay = item.dataset.overlay;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedOverlay);
+            item.classList.add('dragging');
+        });
+        overlayOrder.addEventListener('dragover', (e) => {
+            const item = e.target.closest('[data-overlay]');
+            if (!item || !this.draggedOverlay) return;
+            e.preventDefault();
+            clearDropMarks();
+            if (item.dataset.overlay === this.draggedOverlay) return;
+            const rect = item.getBoundingClientRect();
+            item.classList.add(e.clientY > rect.top + rect.height / 2 ? 'drop-after' : 'drop-before');
+        });
+        overlayOrder.addEventListener('drop', (e) => {
+            const item = e.target.closest('[data-overlay]');
+            if (!item || !this.draggedOverlay) return;
+            e.preventDefault();
+            this.moveOverlay(this.draggedOverlay, item.dataset.overlay, item.classList.contains('drop-after'));
+            this.updateUrl();
+        });
+        overlayOrder.addEventListener('dragend', () => {
+            this.draggedOverlay = null;
+            clearDropMarks();
+            overlayOrder.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+
+        // Layer style cards (opacity, outline and outline colour, palette)
+        document.getElementById('appearance-cards').addEventListener('input', (e) => {
+            const card = e.target.closest('[data-layer]');
+            const property = e.target.dataset.property;
+            if (!card || !property) return;
+            const input = e.target;
+            const value = input.type === 'checkbox' ? input.checked
+                : input.type === 'range' ? parseInt(input.value, 10) / 100
+                    : input.type === 'number' ? (input.value === '' ? null : parseFloat(input.value))
+                        : input.value;
+            if (['palette', 'reverse', 'midpoint'].includes(property)) {
+                this.setPalette(card.dataset.layer, { [property]: value });
+            } else {
+                this.setLayerAppearance(card.dataset.layer, { [property]: value });
+            }
+        });
+
+        // Preview the map and legends with a colour vision deficiency (CSS filters in style.css)
+        document.getElementById('cvd-preview').addEventListener('change', (e) => {
+            document.getElementById('app').dataset.cvd = e.target.value;
+        });
+
         // Analysis layer toggle
         const analysisLayerToggle = document.getElementById('analysis-layer-toggle');
         if (analysisLayerToggle) {
@@ -123,16 +567,341 @@ class EVModellingApp {
                     stageToggles.classList.toggle('disabled', !this.showAnalysisLayer);
                 }
                 this.updateLayers();
+                this.updateClassificationControls();
+                this.updateUrl();
             });
         }
 
+        // Classification controls
+        const classificationMode = document.getElementById('classification-mode');
+        CLASSIFY.modes.forEach(mode => {
+            const option = document.createElement('option');
+            option.value = mode.id;
+            option.textContent = mode.name;
+            classificationMode.appendChild(option);
+        });
+        classificationMode.addEventListener('change', (e) => {
+            this.setClassificationSetting({ mode: e.target.value });
+        });
+
+        const classificationClasses = document.getElementById('classification-classes');
+        classificationClasses.min = CLASSIFY.minClasses;
+        classificationClasses.max = CLASSIFY.maxClasses;
+        classificationClasses.addEventListener('input', (e) => {
+            this.setClassificationSetting({ classes: parseInt(e.target.value, 10) });
+        });
+
+        document.getElementById('classification-breaks').addEventListener('change', (e) => {
+            this.setClassificationSetting({ customBreaks: e.target.value });
+        });
+
+        document.getElementById('classification-refresh').addEventListener('click', () => {
+            this.applyClassification();
+        });
+        this.updateClassificationControls();
+
+        // EV range of the range feasibility stage
+        const rangeSlider = document.getElementById('range-km');
+        rangeSlider.min = RANGE.minKm;
+        rangeSlider.max = RANGE.maxKm;
+        rangeSlider.step = RANGE.stepKm;
+        rangeSlider.addEventListener('input', (e) => {
+            this.rangeKm = RANGE.clamp(e.target.value);
+            this.applyRange();
+        });
+        rangeSlider.addEventListener('change', () => {
+            this.updateUrl();
+        });
+
+        // Custom weighting of the integrated score
+        document.getElementById('weighting-toggle').addEventListener('change', (e) => {
+            this.showCustomScore = e.target.checked;
+            this.applyWeighting();
+        });
+        document.getElementById('weighting-sliders').addEventListener('input', (e) => {
+            const property = e.target.dataset.property;
+            if (!property) return;
+            this.weights[property] = WEIGHTING.clampWeight(e.target.value);
+            document.getElementById('weighting-preset').value = '';
+            this.applyWeighting();
+        });
+        document.getElementById('weighting-preset').addEventListener('change', (e) => {
+            const weights = e.target.value ? WEIGHTING.getPreset(e.target.value) : null;
+            if (weights) {
+                this.weights = weights;
+                this.applyWeighting();
+            }
+            this.updateWeightingPresets();
+        });
+        document.getElementById('weighting-save').addEventListener('click', () => {
+            const input = document.getElementById('weighting-preset-name');
+            const name = input.value.trim();
+            if (!name) return;
+            WEIGHTING.savePreset(name, this.weights);
+            input.value = '';
+            this.updateWeightingPresets(`saved:${name}`);
+        });
+        document.getElementById('weighting-delete').addEventListener('click', () => {
+            const key = document.getElementById('weighting-preset').value;
+            if (!key.startsWith('saved:')) return;
+            WEIGHTING.deletePreset(key.slice('saved:'.length));
+            this.updateWeightingPresets('');
+        });
+        document.getElementById('weighting-compare').addEventListener('click', () => {
+            this.compare.showStage(WEIGHTING.stage);
+        });
+
+        // Bivariate styling
+        document.getElementById('bivariate-toggle').addEventListener('change', (e) => {
+            this.showBivariate = e.target.checked;
+            this.updateBivariateSection();
+        });
+        ['x', 'y'].forEach(axis => {
+            document.getElementById(`bivariate-${axis}`).addEventListener('change', (e) => {
+                this.bivariate[axis] = e.target.value;
+                this.bivariateBreaks = null;
+                this.updateBivariateSection();
+            });
+        });
+        document.getElementById('bivariate-refresh').addEventListener('click', () => {
+            this.bivariateBreaks = null;
+            this.applyBivariate();
+        });
+
+        // Timeline of multi-period layers
+        document.getElementById('timeline-layer').addEventListener('change', (e) => {
+            this.setTimelineTarget(e.target.value || null);
+        });
+        document.getElementById('timeline-slider').addEventListener('input', (e) => {
+            this.stopTimeline();
+            this.setTimelineIndex(parseInt(e.target.value, 10));
+        });
+        document.getElementById('timeline-play').addEventListener('click', () => {
+            if (this.timelineTimer) {
+                this.stopTimeline();
+            } else {
+                this.playTimeline();
+            }
+        });
+
+        // Filter builder
+        document.getElementById('filter-attribute').addEventListener('change', (e) => {
+            const attr = this.stageAttributes.find(a => a.name === e.target.value);
+            if (attr) {
+                this.filters[attr.name] = FILTERS.createFilter(attr);
+                this.updateFilterControls();
+                this.applyFilters();
+            }
+        });
+
+        const filterList = document.getElementById('filter-list');
+        filterList.addEventListener('input', (e) => {
+            if (e.target.type !== 'range') return;
+            const name = e.target.closest('.filter-card').dataset.attribute;
+            const attr = this.stageAttributes.find(a => a.name === name);
+            const filter = this.filters[name];
+            const value = FILTERS.getSliderValue(e.target, attr);
+
+            // Keep min <= max
+            if (e.target.dataset.bound === 'min') {
+                filter.min = Math.min(value, filter.max);
+            } else {
+                filter.max = Math.max(value, filter.min);
+            }
+            e.target.value = filter[e.target.dataset.bound];
+            e.target.nextElementSibling.textContent =
+                LAYERS.formatLegendValue(filter[e.target.dataset.bound], [attr.min, attr.max]);
+            this.applyFilters();
+        });
+        filterList.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            const name = e.target.closest('.filter-card').dataset.attribute;
+            const attr = this.stageAttributes.find(a => a.name === name);
+            this.filters[name].values = [...e.target.closest('.filter-card').querySelectorAll('input:checked')]
+                .map(input => attr.values.find(v => String(v) === input.dataset.value));
+            this.applyFilters();
+        });
+        filterList.addEventListener('click', (e) => {
+            if (!e.target.classList.contains('filter-remove')) return;
+            delete this.filters[e.target.closest('.filter-card').dataset.attribute];
+            this.updateFilterControls();
+            this.applyFilters();
+        });
+
+        document.getElementById('filter-clear').addEventListener('click', () => {
+            this.filters = {};
+            this.updateFilterControls();
+            this.applyFilters();
+        });
+
+        // Charger coverage
+        document.getElementById('coverage-radii').addEventListener('change', (e) => {
+            e.target.value = COVERAGE.parseRadii(e.target.value).join(', ');
+            this.updateCoverage();
+        });
+        document.getElementById('coverage-threshold').addEventListener('input', (e) => {
+            document.getElementById('coverage-threshold-value').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        document.getElementById('coverage-threshold').addEventListener('change', () => {
+            this.updateCoverage();
+        });
+        document.getElementById('coverage-visible').addEventListener('click', () => {
+            this.addVisibleChargersToCoverage();
+        });
+        document.getElementById('coverage-clear').addEventListener('click', () => {
+            this.coverageChargers.clear();
+            this.updateCoverage();
+        });
+
+        // What-if charger scenario
+        document.getElementById('scenario-points').max = SCENARIO.maxPoints;
+        document.getElementById('scenario-export').addEventListener('click', () => {
+            EXPORT.download(JSON.stringify(SCENARIO.toGeoJSON()),
+                EXPORT.getFileName('charger', 'scenario', 'geojson'), EXPORT.formats.geojson.mimeType);
+        });
+        const scenarioFile = document.getElementById('scenario-import-file');
+        document.getElementById('scenario-import').addEventListener('click', () => scenarioFile.click());
+        scenarioFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importScenario(file);
+        });
+        document.getElementById('scenario-clear').addEventListener('click', () => {
+            SCENARIO.setChargers([]);
+            SCENARIO.save();
+            this.scenarioPopup.remove();
+            document.getElementById('scenario-note').textContent = '';
+            this.updateScenario();
+        });
+
+        // Origin–destination flows
+        document.getElementById('flows-toggle').addEventListener('change', (e) => {
+            this.flowMode = e.target.checked;
+            this.flowZone = null;
+            this.updateFlowsSection();
+        });
+        document.getElementById('flows-arrows').addEventListener('change', (e) => {
+            this.flowArrows = e.target.checked;
+            this.updateFlows();
+        });
+        document.getElementById('flows-purpose').addEventListener('change', () => {
+            this.updateFlows();
+        });
+        const flowsList = document.getElementById('flows-list');
+        const focusDestination = (e) => {
+            const row = e.target.closest('tr[data-code]');
+            if (row) this.focusFlowZone(row.dataset.code);
+        };
+        flowsList.addEventListener('click', focusDestination);
+        flowsList.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') focusDestination(e);
+        });
+
+        // Export
+        document.getElementById('export-button').addEventListener('click', () => {
+            this.exportFeatures();
+        });
+
+        // Print map
+        document.getElementById('print-button').addEventListener('click', () => {
+            this.printMap();
+        });
+
+        // Search box
+        const searchInput = document.getElementById('search-input');
+        const searchResults = document.getElementById('search-results');
+        searchInput.addEventListener('focus', () => {
+            SEARCH.load().catch(error => console.warn('Search index unavailable:', error));
+            CHARGERS.load().catch(error => console.warn('Charger points unavailable:', error));
+        });
+        searchInput.addEventListener('input', (e) => {
+            this.runSearch(e.target.value);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                const count = this.searchResults.length;
+                if (count === 0) return;
+                this.searchActiveIndex = (this.searchActiveIndex + step + count) % count;
+                searchResults.innerHTML = SEARCH.generateResultList(this.searchResults, this.searchActiveIndex);
+            } else if (e.key === 'Enter') {
+                const result = this.searchResults[Math.max(this.searchActiveIndex, 0)];
+                if (result) this.selectSearchResult(result);
+            } else if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.runSearch('');
+                this.clearSearchResult();
+            }
+        });
+        searchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) this.selectSearchResult(this.searchResults[parseInt(item.dataset.index, 10)]);
+        });
+
         // Close info panel
         const closeInfo = document.getElementById('close-info');
         closeInfo.addEventListener('click', () => {
             document.getElementById('info-panel').classList.add('hidden');
+            this.clearSelection();
+            this.clearSearchResult();
         });
     }
 
+    /**
+     * Switch region and fly to it
+     */
+    setRegion(region) {
+        this.currentRegion = region;
+
+        // Switch to the first stage with data if the region lacks the current one
+        if (!MANIFEST.hasStage(this.currentRegion, this.currentStage)) {
+            const fallback = CONFIG.stages.find(s => MANIFEST.hasStage(this.currentRegion, s.id));
+            if (fallback) this.currentStage = fallback.id;
+        }
+        this.syncControls();
+
+        this.updateLayers();
+        this.updateLegend();
+        this.flyToRegion();
+        this.updateUrl();
+        this.renderDashboard();
+    }
+
+    /**
+     * Show the regional dashboard, loading the summaries on first use
+     */
+    async openDashboard() {
+        document.getElementById('dashboard-panel').classList.remove('hidden');
+        const note = document.getElementById('dashboard-note');
+        if (!DASHBOARD.summaries) {
+            note.textContent = 'Loading region summaries…';
+            try {
+                await DASHBOARD.load();
+                note.textContent = '';
+            } catch (error) {
+                // Not committed until write_region_summaries() has been run on the GPKGs
+                note.textContent = 'Region summaries are unavailable. They are written by write_region_summaries() in scripts/convert_gpkg_to_pmtiles.R.';
+            }
+        }
+        this.renderDashboard();
+    }
+
+    /**
+     * Hide the regional dashboard
+     */
+    closeDashboard() {
+        document.getElementById('dashboard-panel').classList.add('hidden');
+    }
+
+    /**
+     * Redraw the dashboard table if it is open
+     */
+    renderDashboard() {
+        if (document.getElementById('dashboard-panel').classList.contains('hidden')) return;
+        document.getElementById('dashboard-table').innerHTML = DASHBOARD.generateTable(this.currentRegion);
+    }
+
     /**
      * Change the basemap style
      */
@@ -144,195 +913,1957 @@ class EVModellingApp {
         const center = this.map.getCenter();
         const zoom = this.map.getZoom();
 
-        // Set new style
-        this.map.setStyle(newStyle);
+        // Set new style; the registry carries the analysis, overlay and charger layers over
+        this.registry.setStyle(newStyle, basemapConfig.labelLayer);
 
-        // Re-add layers after style loads
+        // Rebuild what the registry does not own: feature states and the analysis tools' layers
         this.map.once('style.load', () => {
             this.map.setCenter(center);
             this.map.setZoom(zoom);
-            this.updateLayers();
-            this.updateChargerLayer();
-            this.updateOverlayLayers();
+            this.restoreSelection();
+            this.updateSearchHighlight();
+            this.updateCoverage();
+            this.updateScenario();
+            this.updateFlows();
+            if (this.getBivariateAttributes().length > 0) this.applyBivariate();
         });
+        this.compare.changeBasemap();
     }
 
     /**
      * Update overlay layers (car availability, EV distribution)
      */
     updateOverlayLayers() {
-        // Car availability layer
+        // Car availability layer (addOverlayLayer skips archives missing from the manifest)
         if (this.showCarAvailability) {
-            LAYERS.addOverlayLayer(this.map, 'car_availability');
+            this.addOverlayLayer('car_availability');
         } else {
-            LAYERS.removeOverlayLayer(this.map, 'car_availability');
+            this.hideOverlayLayer('car_availability');
         }
 
         // EV distribution layer
         if (this.showEvDistribution) {
-            LAYERS.addOverlayLayer(this.map, 'ev_distribution');
+            this.addOverlayLayer('ev_distribution');
         } else {
-            LAYERS.removeOverlayLayer(this.map, 'ev_distribution');
+            this.hideOverlayLayer('ev_distribution');
         }
+
+        this.updateTimelineSection();
     }
 
     /**
-     * Update charger layer visibility
+     * Hide an overlay, keeping its tiles for when it is shown again
+     * An overlay on another period of the timeline is removed instead, so it
+     * comes back with the latest data.
      */
-    updateChargerLayer() {
-        const sourceId = 'chargers-source';
-        const layerId = 'chargers-layer';
-
-        if (this.showChargers) {
-            // Add source if not exists
-            if (!this.map.getSource(sourceId)) {
-                this.map.addSource(sourceId, {
-                    type: 'vector',
-                    url: `pmtiles://${CONFIG.pmtilesBaseUrl}/chargers.pmtiles`
-                });
-            }
-
-            // Add layer if not exists
-            if (!this.map.getLayer(layerId)) {
-                this.map.addLayer({
-                    id: layerId,
-                    type: 'circle',
-                    source: sourceId,
-                    'source-layer': 'chargers',
-                    paint: {
-                        'circle-radius': [
-                            'interpolate',
-                            ['linear'],
-                            ['zoom'],
-                            6, 3,
-                            10, 5,
-                            14, 8
-                        ],
-                        'circle-color': '#22c55e',
-                        'circle-stroke-color': '#ffffff',
-                        'circle-stroke-width': 2,
-                        'circle-opacity': 0.9
-                    }
-                });
-
-                // Add click handler for chargers
-                this.map.on('click', layerId, (e) => {
-                    if (e.features.length > 0) {
-                        const props = e.features[0].properties;
-                        let html = '';
-                        if (props.title) {
-                            html += `<div class="info-row"><span class="info-label">Name</span><span class="info-value">${props.title}</span></div>`;
-                        }
-                        if (props.town) {
-                            html += `<div class="info-row"><span class="info-label">Town</span><span class="info-value">${props.town}</span></div>`;
-                        }
-                        if (props.postcode) {
-                            html += `<div class="info-row"><span class="info-label">Postcode</span><span class="info-value">${props.postcode}</span></div>`;
-                        }
-                        if (props.number_of_points) {
-                            html += `<div class="info-row"><span class="info-label">Charging Points</span><span class="info-value">${props.number_of_points}</span></div>`;
-                        }
-                        document.getElementById('info-content').innerHTML = html;
-                        document.getElementById('info-panel').classList.remove('hidden');
-                    }
-                });
-
-                this.map.on('mouseenter', layerId, () => {
-                    this.map.getCanvas().style.cursor = 'pointer';
-                });
-                this.map.on('mouseleave', layerId, () => {
-                    this.map.getCanvas().style.cursor = '';
-                });
-            }
+    hideOverlayLayer(overlayId) {
+        if (this.timeline && this.timeline.target === overlayId) {
+            LAYERS.removeOverlayLayer(this.registry, overlayId);
         } else {
-            // Remove layer and source
-            if (this.map.getLayer(layerId)) {
-                this.map.removeLayer(layerId);
-            }
-            if (this.map.getSource(sourceId)) {
-                this.map.removeSource(sourceId);
-            }
+            this.registry.setVisible(overlayId, false);
         }
     }
 
     /**
-     * Update map layers based on current selection
+     * Move an overlay above or below another in the stack (`after` = below, as listed)
      */
-    updateLayers() {
-        // Remove existing layers
-        this.activeLayers.forEach(layerId => {
-            const parts = layerId.split('-');
-            const region = parts[0];
-            const stage = parts.slice(1).join('_');
-            LAYERS.removeLayer(this.map, region, stage);
-        });
-        this.activeLayers = [];
-
-        // Only add layers if analysis layer is enabled
-        if (!this.showAnalysisLayer) {
-            return;
-        }
+    moveOverlay(overlayId, targetId, after) {
+        if (overlayId === targetId) return;
 
-        // Determine which regions to show
-        const regionsToShow = this.currentRegion === 'all'
-            ? CONFIG.regions.map(r => r.id)
-            : [this.currentRegion];
+        const order = this.overlayOrder.filter(id => id !== overlayId);
+        order.splice(order.indexOf(targetId) + (after ? 1 : 0), 0, overlayId);
+        this.overlayOrder = order;
+        this.updateOverlayOrderControls();
+        this.registry.setOrder('overlay', [...order].reverse());
+    }
 
-        // Add layers for each region (only if file exists)
-        regionsToShow.forEach(region => {
-            const fileKey = `${region}_${this.currentStage}`;
-            if (CONFIG.availableFiles.includes(fileKey)) {
-                try {
-                    const layerId = LAYERS.addLayer(this.map, region, this.currentStage);
-                    this.activeLayers.push(layerId);
-                } catch (error) {
-                    console.warn(`Failed to load layer for ${region}/${this.currentStage}:`, error);
-                }
-            }
+    /**
+     * List the overlay toggles in stack order, topmost first, and disable the
+     * buttons that would move an overlay past either end
+     */
+    updateOverlayOrderControls() {
+        const container = document.getElementById('overlay-order');
+        this.overlayOrder.forEach((id, i) => {
+            const item = container.querySelector(`[data-overlay="${id}"]`);
+            container.appendChild(item);
+            item.querySelector('[data-move="up"]').disabled = i === 0;
+            item.querySelector('[data-move="down"]').disabled = i === this.overlayOrder.length - 1;
         });
-
-        // Update click handlers
-        this.updateClickHandlers();
     }
 
     /**
-     * Update click handlers for active layers
+     * Add an overlay styled to its data domain
      */
-    updateClickHandlers() {
-        // Remove old handlers and add new ones
-        this.activeLayers.forEach(layerId => {
-            this.map.on('mouseenter', layerId, () => {
-                this.map.getCanvas().style.cursor = 'pointer';
-            });
-            this.map.on('mouseleave', layerId, () => {
-                this.map.getCanvas().style.cursor = '';
+    addOverlayLayer(overlayId) {
+        const overlayConfig = CONFIG.overlayLayers.find(o => o.id === overlayId);
+        const domain = LAYERS.getOverlayDomain(overlayId) || this.overlayDomains[overlayId] || null;
+        this.overlayDomains[overlayId] = domain;
+
+        const layerId = LAYERS.addOverlayLayer(this.registry, overlayId, domain, this.layerAppearance[overlayId]);
+        if (layerId && !domain && Array.isArray(CONFIG.colorScales[overlayConfig.colorScale])) {
+            this.requestRenderedDomain(overlayId, [layerId], overlayConfig.colorProperty, (viewDomain) => {
+                this.overlayDomains[overlayId] = viewDomain;
+                if (this.map.getLayer(layerId)) {
+                    this.map.setPaintProperty(layerId, 'fill-color',
+                        LAYERS.createFillColor(overlayConfig.colorProperty, PALETTES.getScaleName(overlayConfig), viewDomain));
+                }
+                this.updateLegend();
             });
-        });
+        }
     }
 
     /**
-     * Handle map click to show feature info
+     * Change the appearance of a layer ('analysis', an overlay id or 'chargers') and restyle it
      */
-    handleMapClick(e) {
-        // Query features at click point
-        const features = this.map.queryRenderedFeatures(e.point, {
-            layers: this.activeLayers
-        });
+    setLayerAppearance(key, changes) {
+        Object.assign(this.layerAppearance[key], changes);
+        this.updateAppearanceControls();
+        this.applyLayerAppearance(key);
+    }
 
-        if (features.length === 0) {
-            document.getElementById('info-panel').classList.add('hidden');
-            return;
+    /**
+     * Restyle a layer's fill (or circle) opacity and outline from its appearance
+     * Overlays and chargers are restyled while hidden as well.
+     */
+    applyLayerAppearance(key) {
+        const appearance = this.layerAppearance[key];
+        if (key === 'analysis') {
+            const kind = CONFIG.stages.find(s => s.id === this.currentStage).type;
+            this.activeLayers.forEach(layerId => {
+                LAYERS.setPaint(this.map, LAYERS.getAppearancePaint(kind, layerId, appearance));
+            });
+            this.compare.applyAppearance();
+        } else if (key === 'chargers') {
+            LAYERS.setPaint(this.map, CHARGERS.getAppearancePaint(appearance));
+        } else {
+            LAYERS.setPaint(this.map, LAYERS.getAppearancePaint('overlay', key, appearance));
         }
+    }
 
-        const feature = features[0];
-        const properties = feature.properties;
-
-        // Build info content
-        let html = '';
-        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+    /**
+     * Change the palette of a layer ('analysis' for the current stage, or an overlay id) and recolour it
+     */
+    setPalette(key, changes) {
+        PALETTES.setChoice(key === 'analysis' ? this.currentStage : key, changes);
+        this.updateAppearanceControls();
+        this.applyPalette(key);
+    }
+
+    /**
+     * Recolour a layer and the legends after its palette changed
+     */
+    applyPalette(key) {
+        if (key === 'analysis') {
+            const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+            if (stageConfig.type === 'line') {
+                const lineColor = LAYERS.createLineColor(this.currentStage);
+                this.activeLayers.forEach(layerId => {
+                    if (this.map.getLayer(layerId)) this.map.setPaintProperty(layerId, 'line-color', lineColor);
+                });
+                // The range stage is recoloured for the chosen range
+                this.updateRangeSection();
+            } else {
+                this.applyClassification();
+            }
+            this.scheduleStatsUpdate();
+            this.compare.applyPalette();
+        } else if (this.timeline && this.timeline.target === key) {
+            this.applyTimelineFrame();
+        } else if (this.map.getLayer(key)) {
+            const overlayConfig = CONFIG.overlayLayers.find(o => o.id === key);
+            this.map.setPaintProperty(key, 'fill-color',
+                LAYERS.createFillColor(overlayConfig.colorProperty, PALETTES.getScaleName(overlayConfig), this.overlayDomains[key]));
+        }
+        this.updateLegend();
+    }
+
+    /**
+     * Reflect the layer appearances and palettes in the Layer Style cards
+     * Line stages have no outline, so the analysis card's outline controls are
+     * disabled on them. The palettes offered depend on the layer's colour scale,
+     * and the midpoint only applies to diverging ones.
+     */
+    updateAppearanceControls() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        document.querySelectorAll('#appearance-cards [data-layer]').forEach(card => {
+            const appearance = this.layerAppearance[card.dataset.layer];
+            const opacity = Math.round(appearance.opacity * 100);
+            const outline = card.querySelector('[data-property="outline"]');
+            const outlineColor = card.querySelector('[data-property="outlineColor"]');
+            const noOutline = card.dataset.layer === 'analysis' && stageConfig.type === 'line';
+
+            card.querySelector('[data-property="opacity"]').value = opacity;
+            card.querySelector('.appearance-opacity').textContent = `${opacity}%`;
+            outline.checked = appearance.outline;
+            outline.disabled = noOutline;
+            outlineColor.value = appearance.outlineColor;
+            outlineColor.disabled = noOutline || !appearance.outline;
+
+            const palette = card.querySelector('[data-property="palette"]');
+            if (!palette) return;
+            const config = PALETTES.getLayerConfig(card.dataset.layer === 'analysis' ? this.currentStage : card.dataset.layer);
+            const options = PALETTES.getOptions(config);
+            const choice = PALETTES.getChoice(config.id);
+            const midpoint = card.querySelector('[data-property="midpoint"]');
+
+            card.querySelector('.appearance-palette').classList.toggle('hidden', options.length === 0);
+            palette.innerHTML = [...new Set(options.map(option => option.group))].map(group => {
+                const items = options
+                    .filter(option => option.group === group)
+                    .map(option => `<option value="${option.id}">${option.name}</option>`)
+                    .join('');
+                return group ? `<optgroup label="${group}">${items}</optgroup>` : items;
+            }).join('');
+            palette.value = choice.palette;
+            card.querySelector('[data-property="reverse"]').checked = choice.reverse;
+            midpoint.classList.toggle('hidden', !PALETTES.diverging[choice.palette]);
+            if (document.activeElement !== midpoint) {
+                midpoint.value = choice.midpoint === null ? '' : choice.midpoint;
+            }
+        });
+    }
+
+    /**
+     * Derive a colour domain from the rendered features once the map is idle
+     * Used when the manifest has no tilestats for the property. A newer
+     * request under the same key supersedes an older one.
+     */
+    requestRenderedDomain(key, layerIds, property, apply) {
+        const token = {};
+        this.domainRequests[key] = token;
+        this.map.once('idle', () => {
+            if (this.domainRequests[key] !== token) return;
+            delete this.domainRequests[key];
+            const domain = LAYERS.getRenderedDomain(this.map, layerIds, property);
+            if (domain) apply(domain);
+        });
+    }
+
+    /**
+     * Update charger layer visibility
+     * The charger points load on first use; the layers are added once they
+     * have, and hidden rather than removed afterwards.
+     */
+    updateChargerLayer() {
+        document.getElementById('charger-filters').classList.toggle('hidden', !this.showChargers);
+
+        if (!this.showChargers) {
+            this.clusterPopup.remove();
+            CHARGERS.hideLayers(this.registry);
+            return;
+        }
+
+        CHARGERS.load()
+            .then(() => {
+                if (!this.showChargers) return;
+                this.updateChargerFilterControls();
+                CHARGERS.addLayers(this.registry, CHARGERS.filterFeatures(this.chargerFilter), this.layerAppearance.chargers);
+                this.restoreSelection();
+            })
+            .catch(error => {
+                console.warn('Failed to load charging stations:', error);
+            });
+    }
+
+    /**
+     * Fill the town suggestions and the points slider range from the loaded chargers
+     */
+    updateChargerFilterControls() {
+        const towns = document.getElementById('charger-town-list');
+        if (towns.options.length === 0) {
+            CHARGERS.getTowns().forEach(town => {
+                const option = document.createElement('option');
+                option.value = town;
+                towns.appendChild(option);
+            });
+        }
+
+        const slider = document.getElementById('charger-min-points');
+        slider.max = CHARGERS.getMaxPoints();
+        this.updateChargerCount();
+    }
+
+    /**
+     * Re-cluster the chargers after a filter change
+     */
+    applyChargerFilter() {
+        this.clusterPopup.remove();
+        const source = this.map.getSource(CHARGERS.sourceId);
+        if (source) {
+            source.setData(CHARGERS.filterFeatures(this.chargerFilter));
+        }
+        this.updateChargerCount();
+    }
+
+    /**
+     * Show how many chargers pass the filters
+     */
+    updateChargerCount() {
+        const note = document.getElementById('charger-count');
+        const filtered = this.chargerFilter.town.trim() !== '' || this.chargerFilter.minPoints > 1;
+        if (!filtered || !CHARGERS.features) {
+            note.textContent = '';
+            return;
+        }
+        const count = CHARGERS.filterFeatures(this.chargerFilter).features.length;
+        note.textContent = `${count.toLocaleString()} of ${CHARGERS.features.length.toLocaleString()} chargers shown`;
+    }
+
+    /**
+     * Zoom into a charger cluster and list its members in a popup
+     * Clicking a member flies to it and shows its details.
+     */
+    async expandCluster(feature) {
+        const clusterId = feature.properties.cluster_id;
+        const center = feature.geometry.coordinates;
+        let zoom;
+        let members;
+        try {
+            [zoom, members] = await Promise.all([
+                CHARGERS.getExpansionZoom(this.map, clusterId),
+                CHARGERS.getClusterMembers(this.map, clusterId)
+            ]);
+        } catch (error) {
+            // The cluster no longer exists (filters changed or the map moved on)
+            return;
+        }
+
+        const content = document.createElement('div');
+        content.innerHTML = CHARGERS.generateClusterList(
+            members, feature.properties.point_count, feature.properties.total_points
+        );
+        content.addEventListener('click', (e) => {
+            const item = e.target.closest('.cluster-member');
+            if (!item) return;
+            const member = members[parseInt(item.dataset.index, 10)];
+            this.clusterPopup.remove();
+            this.map.flyTo({
+                center: member.geometry.coordinates,
+                zoom: Math.max(this.map.getZoom(), CHARGERS.clusterMaxZoom + 2),
+                duration: 1000
+            });
+            this.showChargerInfo(member.properties);
+            this.selectFeature({ id: member.properties.poi_id, source: CHARGERS.sourceId });
+        });
+
+        this.clusterPopup.setLngLat(center).setDOMContent(content).addTo(this.map);
+        this.map.easeTo({ center, zoom, duration: 500 });
+    }
+
+    /**
+     * Show a charger's details in the info panel
+     */
+    showChargerInfo(props) {
+        let html = '';
+        if (props.title) {
+            html += `<div class="info-row"><span class="info-label">Name</span><span class="info-value">${props.title}</span></div>`;
+        }
+        if (props.town) {
+            html += `<div class="info-row"><span class="info-label">Town</span><span class="info-value">${props.town}</span></div>`;
+        }
+        if (props.postcode) {
+            html += `<div class="info-row"><span class="info-label">Postcode</span><span class="info-value">${props.postcode}</span></div>`;
+        }
+        if (props.number_of_points) {
+            html += `<div class="info-row"><span class="info-label">Charging Points</span><span class="info-value">${props.number_of_points}</span></div>`;
+        }
+        document.getElementById('info-content').innerHTML = html;
+        document.getElementById('info-panel').classList.remove('hidden');
+    }
+
+    /**
+     * Update map layers based on current selection
+     */
+    updateLayers() {
+        // The search highlight may use an analysis source, so it goes first
+        SEARCH.removeHighlight(this.map);
+
+        // Determine which regions to show (only those the manifest lists an archive for)
+        const regionsToShow = (this.currentRegion === 'all'
+            ? MANIFEST.getRegions().map(r => r.id)
+            : [this.currentRegion]
+        ).filter(region => this.showAnalysisLayer && MANIFEST.hasStage(region, this.currentStage));
+        const layerIds = regionsToShow.map(region => `${region}-${this.currentStage}`);
+
+        // Hiding the analysis layer keeps its layers, with their tiles, to show
+        // again as they were if the region and stage are still the same. Layers
+        // on another period of the timeline are removed, to come back with the latest data.
+        if (!this.showAnalysisLayer && !(this.timeline && this.timeline.target === 'stage')) {
+            this.activeLayers.forEach(layerId => this.registry.setVisible(layerId, false));
+            this.hiddenLayers.push(...this.activeLayers);
+            this.activeLayers = [];
+        }
+        const unchanged = this.hiddenLayers.length === layerIds.length &&
+            this.hiddenLayers.every(layerId => layerIds.includes(layerId));
+        const stale = this.showAnalysisLayer && !unchanged ? this.hiddenLayers : [];
+
+        // Remove existing layers (with their flow arrows)
+        [...this.activeLayers, ...stale].forEach(layerId => {
+            const parts = layerId.split('-');
+            const region = parts[0];
+            const stage = parts.slice(1).join('_');
+            LAYERS.removeLayer(this.registry, region, stage);
+        });
+        this.activeLayers = [];
+        if (this.showAnalysisLayer) this.hiddenLayers = [];
+        this.bivariateBreaks = null;
+        delete this.domainRequests.stage;
+        this.updateAppearanceControls();
+
+        // Only add layers if analysis layer is enabled
+        if (!this.showAnalysisLayer) {
+            this.stageAttributes = [];
+            this.updateFilterControls();
+            this.restoreSelection();
+            this.updateSearchHighlight();
+            this.scheduleStatsUpdate();
+            this.updateRangeSection();
+            this.updateWeightingSection();
+            this.updateBivariateSection();
+            this.updateTimelineSection();
+            this.updateCoverageSection();
+            this.updateScenarioSection();
+            this.updateFlowsSection();
+            return;
+        }
+
+        // One domain across all shown regions, so they share the legend's colours
+        this.stageDomain = LAYERS.getStageDomain(regionsToShow, this.currentStage);
+        this.stageAttributes = FILTERS.getAttributes(
+            regionsToShow.map(region => MANIFEST.getLayerArchive(region, this.currentStage))
+        );
+        // Rescaled over every archive of the stage, so a zone's score does not depend on the regions shown
+        this.weightComponents = this.currentStage === WEIGHTING.stage
+            ? WEIGHTING.getComponents(MANIFEST.archives.filter(a => a.stage === WEIGHTING.stage))
+            : [];
+
+        // Keep the previous classes until they are recomputed for the new layers
+        const classes = this.stageClasses && this.stageClasses.stage === this.currentStage
+            ? this.stageClasses
+            : null;
+        this.stageClasses = classes;
+
+        // Add layers for each region
+        regionsToShow.forEach(region => {
+            try {
+                const layerId = LAYERS.addLayer(this.registry, region, this.currentStage, this.stageDomain, classes,
+                    this.layerAppearance.analysis);
+                this.activeLayers.push(layerId);
+            } catch (error) {
+                console.warn(`Failed to load layer for ${region}/${this.currentStage}:`, error);
+                const regionConfig = MANIFEST.getRegions().find(r => r.id === region);
+                const stageName = CONFIG.stages.find(s => s.id === this.currentStage).name;
+                this.showToast(`Could not add ${regionConfig ? regionConfig.name : region} ${stageName}`);
+            }
+        });
+        // Layers shown again may have been hidden before the appearance changed
+        this.applyLayerAppearance('analysis');
+
+        // Without tilestats, take the domain from what is rendered
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        const needsDomain = !this.stageDomain && stageConfig.type === 'polygon' &&
+            Array.isArray(CONFIG.colorScales[stageConfig.colorScale]) && this.activeLayers.length > 0;
+        if (needsDomain) {
+            this.requestRenderedDomain('stage', [...this.activeLayers], stageConfig.colorProperty, (domain) => {
+                this.stageDomain = domain;
+                this.applyClassification();
+            });
+        }
+        // The custom score has a fixed domain, so it can be styled straight away
+        if (this.getCustomScore() || (!needsDomain && this.getClassificationSetting().mode !== 'continuous')) {
+            this.applyClassification();
+        }
+
+        // Re-apply filters whose attribute exists in the new stage
+        this.updateFilterControls();
+        this.applyFilters();
+
+        this.restoreSelection();
+        this.updateSearchHighlight();
+        this.updateRangeSection();
+        this.updateWeightingSection();
+        this.updateBivariateSection();
+        this.updateTimelineSection();
+        this.updateCoverageSection();
+        this.updateScenarioSection();
+        this.updateFlowsSection();
+    }
+
+    /**
+     * List search matches from the index, the loaded zones and the chargers
+     */
+    async runSearch(query) {
+        // Zones in the loaded tiles can still be found without the index, and zones without the chargers
+        const loads = await Promise.allSettled([SEARCH.load(), CHARGERS.load()]);
+        const list = document.getElementById('search-results');
+
+        // A newer keystroke may have changed the query while the index loaded
+        if (document.getElementById('search-input').value !== query) return;
+
+        const sources = this.activeLayers.map(layerId => {
+            const region = layerId.split('-')[0];
+            return {
+                sourceId: `${layerId}-source`,
+                sourceLayer: LAYERS.getSourceLayer(region, this.currentStage),
+                region
+            };
+        });
+        const loadedZones = SEARCH.getLoadedZones(this.map, sources);
+        this.searchResults = SEARCH.search(query, loadedZones);
+        this.searchActiveIndex = -1;
+
+        const hasQuery = SEARCH.normalize(query).length >= SEARCH.minQueryLength;
+        if (!hasQuery) {
+            list.innerHTML = '';
+        } else if (loads.every(load => load.status === 'rejected') && loadedZones.length === 0) {
+            list.innerHTML = '<li class="search-empty">Search is unavailable</li>';
+        } else {
+            list.innerHTML = SEARCH.generateResultList(this.searchResults, this.searchActiveIndex);
+        }
+        list.classList.toggle('hidden', !hasQuery);
+    }
+
+    /**
+     * Fly to a search result, highlight it and show its details
+     */
+    selectSearchResult(result) {
+        document.getElementById('search-input').value = result.label;
+        document.getElementById('search-results').classList.add('hidden');
+        this.searchResult = result;
+        this.clearSelection();
+
+        if (result.type === 'charger') {
+            this.map.flyTo({ center: result.lngLat, zoom: Math.max(this.map.getZoom(), 14), duration: 1000 });
+            this.updateSearchHighlight();
+            this.showChargerInfo(result.properties);
+            return;
+        }
+
+        // Show the zone's region if another single region is selected
+        if (this.currentRegion !== 'all' && this.currentRegion !== result.region) {
+            this.currentRegion = result.region;
+            if (!MANIFEST.hasStage(this.currentRegion, this.currentStage)) {
+                const fallback = CONFIG.stages.find(s => MANIFEST.hasStage(this.currentRegion, s.id));
+                if (fallback) this.currentStage = fallback.id;
+            }
+            this.syncControls();
+            this.updateLayers();
+            this.updateLegend();
+        } else {
+            this.updateSearchHighlight();
+        }
+        this.updateUrl();
+
+        this.map.fitBounds(result.bbox, { padding: 80, maxZoom: 14, duration: 1000 });
+
+        // The zone's attributes are read from its tiles once they have loaded
+        const stage = this.currentStage;
+        this.showFeatureInfo({ geo_code: result.geoCode }, stage);
+        this.map.once('idle', () => {
+            if (this.searchResult !== result || this.currentStage !== stage) return;
+            const sourceId = `${result.region}-${stage}-source`;
+            if (!this.map.getSource(sourceId)) return;
+            const features = this.map.querySourceFeatures(sourceId, {
+                sourceLayer: LAYERS.getSourceLayer(result.region, stage),
+                filter: ['==', ['to-string', ['get', 'geo_code']], result.geoCode]
+            });
+            if (features.length > 0) {
+                this.showFeatureInfo(this.withCustomScore(features[0].properties, stage), stage);
+            }
+        });
+    }
+
+    /**
+     * Re-add the highlight of the picked search result (layers may have been replaced)
+     */
+    updateSearchHighlight() {
+        if (this.searchResult) {
+            SEARCH.addHighlight(this.map, this.searchResult, this.currentStage);
+        }
+    }
+
+    /**
+     * Forget the picked search result and remove its highlight
+     */
+    clearSearchResult() {
+        this.searchResult = null;
+        SEARCH.removeHighlight(this.map);
+    }
+
+    /**
+     * Get the classification setting of the current stage
+     */
+    getClassificationSetting() {
+        return this.classifications[this.currentStage] || {
+            mode: 'continuous',
+            classes: 5,
+            customBreaks: ''
+        };
+    }
+
+    /**
+     * Update the current stage's classification setting and restyle
+     */
+    setClassificationSetting(changes) {
+        this.classifications[this.currentStage] = { ...this.getClassificationSetting(), ...changes };
+        this.updateClassificationControls();
+        this.applyClassification();
+    }
+
+    /**
+     * Sync the classification controls with the current stage
+     * Only continuous stages can be classified.
+     */
+    updateClassificationControls() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        const section = document.getElementById('classification-section');
+        const classifiable = this.showAnalysisLayer && Array.isArray(CONFIG.colorScales[stageConfig.colorScale]);
+        section.classList.toggle('hidden', !classifiable);
+
+        const setting = this.getClassificationSetting();
+        document.getElementById('classification-mode').value = setting.mode;
+        document.getElementById('classification-classes').value = setting.classes;
+        document.getElementById('classification-classes-value').textContent = setting.classes;
+        document.getElementById('classification-breaks').value = setting.customBreaks;
+
+        document.getElementById('classification-count-row').classList.toggle('hidden',
+            setting.mode === 'continuous' || setting.mode === 'custom');
+        document.getElementById('classification-breaks').classList.toggle('hidden', setting.mode !== 'custom');
+        document.getElementById('classification-refresh').classList.toggle('hidden',
+            setting.mode !== 'quantile' && setting.mode !== 'jenks');
+    }
+
+    /**
+     * Compute classes for the current stage and restyle the analysis layers
+     * Quantile and Jenks breaks come from the features in the loaded tiles, so
+     * they are computed once the map is idle if no tiles have loaded yet.
+     */
+    applyClassification() {
+        if (this.getBivariateAttributes().length > 0) {
+            this.applyBivariate();
+            return;
+        }
+
+        const stage = this.currentStage;
+        const stageConfig = CONFIG.stages.find(s => s.id === stage);
+        const setting = this.getClassificationSetting();
+        const customScore = this.getCustomScore();
+        const domain = customScore ? WEIGHTING.domain : this.stageDomain;
+        let classes = null;
+
+        if (setting.mode !== 'continuous' && Array.isArray(CONFIG.colorScales[stageConfig.colorScale])) {
+            const sources = this.activeLayers.map(layerId => {
+                const region = layerId.split('-')[0];
+                return { sourceId: `${layerId}-source`, sourceLayer: LAYERS.getSourceLayer(region, stage) };
+            });
+            const values = CLASSIFY.sampleValues(this.map, sources, customScore
+                ? props => WEIGHTING.compute(props, this.weights, this.weightComponents)
+                : this.getStageColorProperty());
+            const needsSample = setting.mode === 'quantile' || setting.mode === 'jenks' || !domain;
+
+            if (needsSample && values.length === 0) {
+                if (this.activeLayers.length > 0) {
+                    this.map.once('idle', () => {
+                        if (this.currentStage === stage) this.applyClassification();
+                    });
+                }
+                return;
+            }
+
+            classes = CLASSIFY.classify(setting, values, domain, PALETTES.getScaleName(stageConfig));
+        }
+
+        this.stageClasses = classes && { ...classes, stage };
+
+        const fillColor = LAYERS.createFillColor(
+            customScore || this.getStageColorProperty(), PALETTES.getScaleName(stageConfig), domain, this.stageClasses
+        );
+        this.activeLayers.forEach(layerId => {
+            if (this.map.getLayer(layerId) && this.map.getLayer(layerId).type === 'fill') {
+                this.map.setPaintProperty(layerId, 'fill-color', fillColor);
+            }
+        });
+        this.updateLegend();
+    }
+
+    /**
+     * Show the range slider on the range feasibility stage and restyle its lines
+     */
+    updateRangeSection() {
+        const shown = this.showAnalysisLayer && this.currentStage === RANGE.stage;
+        document.getElementById('range-section').classList.toggle('hidden', !shown);
+        this.updateRangeControls();
+        // New layers are coloured by the modelled category, right for the default range
+        if (shown && this.rangeKm !== RANGE.defaultKm) {
+            this.applyRange();
+        }
+    }
+
+    /**
+     * Show the chosen range and its distance bands next to the slider
+     */
+    updateRangeControls() {
+        document.getElementById('range-km').value = this.rangeKm;
+        document.getElementById('range-km-value').textContent = `${this.rangeKm} km`;
+        const { feasible, constrained } = RANGE.getThresholds(this.rangeKm);
+        document.getElementById('range-note').textContent =
+            `Feasible up to ${RANGE.formatKm(feasible)}, constrained up to ${RANGE.formatKm(constrained)} one way`;
+    }
+
+    /**
+     * Reclassify the range feasibility lines for the chosen range
+     * Restyles the lines and refreshes the legend, statistics and flow summary.
+     */
+    applyRange() {
+        this.updateRangeControls();
+        if (this.currentStage !== RANGE.stage) return;
+
+        const lineColor = LAYERS.createLineColor(RANGE.stage, RANGE.getCategoryExpression(this.rangeKm));
+        this.activeLayers.forEach(layerId => {
+            if (this.map.getLayer(layerId)) {
+                this.map.setPaintProperty(layerId, 'line-color', lineColor);
+            }
+        });
+        this.updateLegend();
+        this.scheduleStatsUpdate();
+        if (this.flowZone !== null) {
+            this.updateFlows();
+        }
+    }
+
+    /**
+     * Custom score expression while the integrated stage is coloured by it, else null
+     */
+    getCustomScore() {
+        if (!this.showCustomScore || !this.showAnalysisLayer || this.currentStage !== WEIGHTING.stage) {
+            return null;
+        }
+        return WEIGHTING.getExpression(this.weights, this.weightComponents);
+    }
+
+    /**
+     * Show the weighting panel on the integrated stage
+     */
+    updateWeightingSection() {
+        const shown = this.showAnalysisLayer && this.currentStage === WEIGHTING.stage;
+        document.getElementById('weighting-section').classList.toggle('hidden', !shown);
+        if (!shown) return;
+
+        const available = this.weightComponents.length > 0;
+        document.getElementById('weighting-toggle').disabled = !available;
+        document.getElementById('weighting-toggle').checked = this.showCustomScore && available;
+        this.updateWeightingPresets();
+        this.updateWeightingControls();
+
+        // The original score is drawn flat where the tiles do not carry it, so there is nothing to compare with
+        const original = CONFIG.stages.find(s => s.id === WEIGHTING.stage).colorProperty;
+        const hasOriginal = this.isPropertyInTiles(original);
+        document.getElementById('weighting-compare').disabled = !hasOriginal;
+        document.getElementById('weighting-compare-note').textContent = hasOriginal ? '' : `${original} not in tiles`;
+    }
+
+    /**
+     * Whether every analysis archive shown lists a property in its attributes
+     */
+    isPropertyInTiles(property) {
+        return this.activeLayers.length > 0 && this.activeLayers.every(layerId =>
+            MANIFEST.hasAttribute(MANIFEST.getLayerArchive(layerId.split('-')[0], this.currentStage), property));
+    }
+
+    /**
+     * Redraw the weight sliders and the note under them
+     */
+    updateWeightingControls() {
+        document.getElementById('weighting-sliders').innerHTML =
+            WEIGHTING.generateSliders(this.weights, this.weightComponents);
+        this.updateWeightingShares();
+    }
+
+    /**
+     * Sync the sliders with the weights and show each one's share of the total
+     * The sliders are kept rather than redrawn, so one being dragged keeps focus.
+     */
+    updateWeightingShares() {
+        const shares = WEIGHTING.getShares(this.weights, this.weightComponents) || [];
+        document.querySelectorAll('#weighting-sliders input[data-property]').forEach(input => {
+            const share = shares.find(s => s.property === input.dataset.property);
+            input.value = this.weights[input.dataset.property] || 0;
+            input.nextElementSibling.textContent = WEIGHTING.formatShare(share ? share.share : 0);
+        });
+
+        let note = '';
+        if (this.weightComponents.length === 0) {
+            note = 'The archives shown carry none of the score\'s indicators';
+        } else if (shares.length === 0) {
+            note = 'Give at least one indicator a weight';
+        }
+        document.getElementById('weighting-note').textContent = note;
+    }
+
+    /**
+     * Refill the preset list, selecting `selected` (default: keep the current choice)
+     */
+    updateWeightingPresets(selected = null) {
+        const select = document.getElementById('weighting-preset');
+        const current = selected === null ? select.value : selected;
+        select.innerHTML = WEIGHTING.generatePresetOptions();
+        select.value = [...select.options].some(option => option.value === current) ? current : '';
+        document.getElementById('weighting-delete').disabled = !select.value.startsWith('saved:');
+    }
+
+    /**
+     * Restyle the integrated stage after the weights or the score shown changed
+     */
+    applyWeighting() {
+        this.updateWeightingShares();
+        if (this.currentStage !== WEIGHTING.stage) return;
+        this.applyClassification();
+        this.scheduleStatsUpdate();
+    }
+
+    /**
+     * Properties with the custom score added on the integrated stage (for tooltips and details)
+     */
+    withCustomScore(properties, stage) {
+        if (stage !== WEIGHTING.stage || stage !== this.currentStage) return properties;
+        const score = WEIGHTING.compute(properties, this.weights, this.weightComponents);
+        return score === null ? properties : { ...properties, [WEIGHTING.scoreProperty]: score };
+    }
+
+    /**
+     * The two attributes of the bivariate styling while it is shown, else []
+     */
+    getBivariateAttributes() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        if (!this.showBivariate || !this.showAnalysisLayer || stageConfig.type !== 'polygon') return [];
+
+        const x = this.bivariateAttributes.find(attr => attr.key === this.bivariate.x);
+        const y = this.bivariateAttributes.find(attr => attr.key === this.bivariate.y);
+        return x && y ? [x, y] : [];
+    }
+
+    /**
+     * Show the bivariate controls on polygon stages and restyle the layers
+     */
+    updateBivariateSection() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        const shown = this.showAnalysisLayer && stageConfig.type === 'polygon';
+        document.getElementById('bivariate-section').classList.toggle('hidden', !shown);
+
+        this.bivariateAttributes = shown ? BIVARIATE.getAttributes(this.stageAttributes) : [];
+
+        // Keep the chosen attributes where possible, else start from the stage's colour property
+        const choices = this.bivariateAttributes;
+        const preferred = [
+            ...choices.filter(attr => attr.key === `stage:${stageConfig.colorProperty}`),
+            ...choices
+        ];
+        ['x', 'y'].forEach(axis => {
+            if (!choices.some(attr => attr.key === this.bivariate[axis]) && choices.length > 0) {
+                const other = this.bivariate[axis === 'x' ? 'y' : 'x'];
+                this.bivariate[axis] = (preferred.find(attr => attr.key !== other) || preferred[0]).key;
+            }
+        });
+
+        ['x', 'y'].forEach(axis => {
+            const select = document.getElementById(`bivariate-${axis}`);
+            const groups = [...new Set(this.bivariateAttributes.map(attr => attr.group))];
+            select.innerHTML = groups.map(group => `
+                <optgroup label="${SEARCH.escapeHtml(group)}">
+                    ${this.bivariateAttributes.filter(attr => attr.group === group).map(attr => `
+                        <option value="${attr.key}">${attr.label}</option>
+                    `).join('')}
+                </optgroup>
+            `).join('');
+            select.value = this.bivariate[axis] || '';
+        });
+
+        document.getElementById('bivariate-toggle').checked = this.showBivariate;
+        document.getElementById('bivariate-toggle').disabled = choices.length < 2;
+        document.getElementById('bivariate-controls').classList.toggle('hidden', !this.showBivariate);
+
+        document.getElementById('bivariate-note').textContent =
+            choices.length < 2 ? 'This stage has fewer than two numeric attributes' : '';
+
+        if (this.getBivariateAttributes().length > 0) {
+            this.applyBivariate();
+        } else {
+            this.clearBivariate();
+        }
+    }
+
+    /**
+     * Colour the stage's zones by the two attributes once the map has rendered the view
+     * Tertile breaks come from the loaded tiles the first time; overlay values
+     * are joined again on every call, as more zones load.
+     */
+    applyBivariate() {
+        const [x, y] = this.getBivariateAttributes();
+        if (!x) return;
+
+        const overlays = [...new Set([x, y].map(attr => attr.source).filter(source => source !== 'stage'))];
+        BIVARIATE.removeProbes(this.map, overlays);
+        overlays.forEach(overlayId => BIVARIATE.addProbe(this.map, overlayId));
+
+        const token = {};
+        this.bivariateRequest = token;
+        this.map.once('idle', () => {
+            if (this.bivariateRequest !== token) return;
+            this.bivariateRequest = null;
+
+            const stage = this.currentStage;
+            const sources = this.activeLayers.map(layerId => {
+                const region = layerId.split('-')[0];
+                return { region, sourceId: `${layerId}-source`, sourceLayer: LAYERS.getSourceLayer(region, stage) };
+            });
+            const zones = overlays.length > 0 ? COVERAGE.collectZones(this.map, sources) : [];
+            const joinKey = BIVARIATE.getJoinKey(zones);
+            if (overlays.length > 0 && !joinKey) {
+                document.getElementById('bivariate-note').textContent =
+                    'No attribute tells the loaded zones apart, so overlay values cannot be joined to them';
+                return;
+            }
+            const joined = {};
+            [x, y].filter(attr => attr.source !== 'stage').forEach(attr => {
+                joined[attr.key] = { key: joinKey, values: BIVARIATE.joinValues(this.map, attr.source, attr.property, zones, joinKey) };
+            });
+
+            const valuesOf = attr => attr.source === 'stage'
+                ? CLASSIFY.sampleValues(this.map, sources, attr.property)
+                : [...joined[attr.key].values.values()];
+            const key = `${x.key}|${y.key}`;
+            if (!this.bivariateBreaks || this.bivariateBreaks.key !== key) {
+                const xBreaks = BIVARIATE.getBreaks(valuesOf(x));
+                const yBreaks = BIVARIATE.getBreaks(valuesOf(y));
+                if (!xBreaks || !yBreaks) {
+                    document.getElementById('bivariate-note').textContent =
+                        `No values of ${(xBreaks ? y : x).label} in the loaded tiles`;
+                    return;
+                }
+                this.bivariateBreaks = { key, x: xBreaks, y: yBreaks };
+            }
+
+            const { x: xBreaks, y: yBreaks } = this.bivariateBreaks;
+            const fillColor = BIVARIATE.createFillColor(
+                BIVARIATE.getClassExpression(x, xBreaks.breaks, joined[x.key]),
+                BIVARIATE.getClassExpression(y, yBreaks.breaks, joined[y.key])
+            );
+            this.activeLayers.forEach(layerId => {
+                if (this.map.getLayer(layerId) && this.map.getLayer(layerId).type === 'fill') {
+                    this.map.setPaintProperty(layerId, 'fill-color', fillColor);
+                }
+            });
+            this.bivariateLegend = BIVARIATE.getLegendSpec(
+                { label: x.label, ...xBreaks },
+                { label: y.label, ...yBreaks }
+            );
+            document.getElementById('bivariate-note').textContent = '';
+            this.updateLegend();
+        });
+        // Make sure an idle event follows even if nothing else changes
+        this.map.triggerRepaint();
+    }
+
+    /**
+     * Drop the bivariate styling and restore the stage's own colours
+     */
+    clearBivariate() {
+        this.bivariateRequest = null;
+        BIVARIATE.removeProbes(this.map);
+        if (!this.bivariateLegend) return;
+
+        this.bivariateLegend = null;
+        this.bivariateBreaks = null;
+        if (this.showAnalysisLayer) {
+            this.applyClassification();
+        } else {
+            this.updateLegend();
+        }
+    }
+
+    /**
+     * Colour property of the current stage: the shown period's attribute while
+     * the stage is animated through per-period attributes
+     */
+    getStageColorProperty() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        if (this.timeline && this.timeline.target === 'stage' && this.timeline.kind === 'attribute') {
+            return TIMELINE.getPeriodProperty(stageConfig.colorProperty, this.timeline.periods[this.timeline.index]);
+        }
+        return stageConfig.colorProperty;
+    }
+
+    /**
+     * Layers shown with several periods, as [{ target, name, timeline }]
+     * Only continuous polygon layers are offered: the stage ('stage'), then overlays by id.
+     */
+    getTimelineTargets() {
+        const targets = [];
+        const isContinuous = config => config.type === 'polygon' && Array.isArray(CONFIG.colorScales[config.colorScale]);
+
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        if (this.showAnalysisLayer && this.activeLayers.length > 0 && isContinuous(stageConfig)) {
+            const regions = this.activeLayers.map(layerId => layerId.split('-')[0]);
+            const timeline = TIMELINE.getTimeline(
+                regions.map(region => `${region}_${this.currentStage}`),
+                regions.map(region => MANIFEST.getLayerArchive(region, this.currentStage)),
+                stageConfig.colorProperty
+            );
+            if (timeline) targets.push({ target: 'stage', name: stageConfig.name, timeline });
+        }
+
+        CONFIG.overlayLayers
+            .filter(overlay => this.registry.isVisible(overlay.id) && isContinuous(overlay) && MANIFEST.get(overlay.id))
+            .forEach(overlay => {
+                const timeline = TIMELINE.getTimeline([overlay.id], [MANIFEST.get(overlay.id)], overlay.colorProperty);
+                if (timeline) targets.push({ target: overlay.id, name: overlay.name, timeline });
+            });
+        return targets;
+    }
+
+    /**
+     * Show the timeline when a layer shown has several periods
+     * The animated layer keeps its period while it is still shown.
+     */
+    updateTimelineSection() {
+        const targets = this.getTimelineTargets();
+        document.getElementById('timeline-section').classList.toggle('hidden', targets.length === 0);
+
+        const select = document.getElementById('timeline-layer');
+        select.innerHTML = '<option value="">Off (latest data)</option>' + targets
+            .map(({ target, name }) => `<option value="${target}">${name}</option>`)
+            .join('');
+
+        const current = this.timeline && targets.find(t => t.target === this.timeline.target);
+        if (current) {
+            const index = current.timeline.periods.indexOf(this.timeline.periods[this.timeline.index]);
+            this.timeline = {
+                target: current.target,
+                ...current.timeline,
+                index: index >= 0 ? index : current.timeline.periods.length - 1
+            };
+        } else {
+            this.stopTimeline();
+            this.timeline = null;
+        }
+        select.value = this.timeline ? this.timeline.target : '';
+        this.applyTimelineFrame();
+    }
+
+    /**
+     * Animate a layer ('stage' or an overlay id) through its periods, starting
+     * at the latest, or turn the timeline off (null)
+     */
+    setTimelineTarget(target) {
+        const previous = this.timeline;
+        this.stopTimeline();
+
+        const current = target && this.getTimelineTargets().find(t => t.target === target);
+        this.timeline = current
+            ? { target, ...current.timeline, index: current.timeline.periods.length - 1 }
+            : null;
+
+        // Restore the archive and colours of the layer animated before
+        if (previous && previous.target !== target) {
+            if (previous.target === 'stage') {
+                this.updateLayers();
+                return;
+            }
+            LAYERS.removeOverlayLayer(this.registry, previous.target);
+            this.addOverlayLayer(previous.target);
+            this.updateLegend();
+        }
+        this.applyTimelineFrame();
+    }
+
+    /**
+     * Show one period of the timeline
+     */
+    setTimelineIndex(index) {
+        if (!this.timeline) return;
+        this.timeline.index = Math.min(Math.max(index, 0), this.timeline.periods.length - 1);
+        this.applyTimelineFrame();
+    }
+
+    /**
+     * Step through the periods, looping back to the first
+     */
+    playTimeline() {
+        if (!this.timeline) return;
+        if (this.timeline.index === this.timeline.periods.length - 1) {
+            this.setTimelineIndex(0);
+        }
+        this.timelineTimer = setInterval(() => {
+            this.setTimelineIndex((this.timeline.index + 1) % this.timeline.periods.length);
+        }, TIMELINE.frameInterval);
+        this.updateTimelineControls();
+    }
+
+    /**
+     * Pause the timeline
+     */
+    stopTimeline() {
+        if (this.timelineTimer) {
+            clearInterval(this.timelineTimer);
+            this.timelineTimer = null;
+        }
+        this.updateTimelineControls();
+    }
+
+    /**
+     * Sync the slider, period label and play button with the timeline
+     */
+    updateTimelineControls() {
+        document.getElementById('timeline-controls').classList.toggle('hidden', !this.timeline);
+        if (!this.timeline) return;
+
+        const slider = document.getElementById('timeline-slider');
+        slider.max = this.timeline.periods.length - 1;
+        slider.value = this.timeline.index;
+        document.getElementById('timeline-period').textContent =
+            TIMELINE.formatPeriod(this.timeline.periods[this.timeline.index]);
+
+        const play = document.getElementById('timeline-play');
+        play.textContent = this.timelineTimer ? '❚❚' : '▶';
+        play.title = this.timelineTimer ? 'Pause' : 'Play';
+    }
+
+    /**
+     * Restyle the animated layer for the shown period, on the timeline's fixed domain
+     * Per-period archives are swapped in by pointing the layer's source at them.
+     */
+    applyTimelineFrame() {
+        this.updateTimelineControls();
+        if (!this.timeline) return;
+
+        const { target, kind, periods, index, domain } = this.timeline;
+        const period = periods[index];
+        // The fixed domain supersedes one still to be taken from the rendered features
+        if (domain) delete this.domainRequests[target];
+        const setArchive = (sourceId, baseId) => {
+            const archive = TIMELINE.getPeriodArchive(baseId, period);
+            const source = this.map.getSource(sourceId);
+            if (archive && source) source.setUrl(LAYERS.getArchiveUrl(archive));
+        };
+
+        if (target === 'stage') {
+            if (kind === 'archive') {
+                this.activeLayers.forEach(layerId => {
+                    setArchive(`${layerId}-source`, `${layerId.split('-')[0]}_${this.currentStage}`);
+                });
+            }
+            if (domain) this.stageDomain = domain;
+            this.applyClassification();
+            this.scheduleStatsUpdate();
+            return;
+        }
+
+        const overlayConfig = CONFIG.overlayLayers.find(o => o.id === target);
+        if (kind === 'archive') {
+            setArchive(`${target}-source`, target);
+        }
+        if (domain) this.overlayDomains[target] = domain;
+        const property = kind === 'attribute'
+            ? TIMELINE.getPeriodProperty(overlayConfig.colorProperty, period)
+            : overlayConfig.colorProperty;
+        // The overlay's layer may not be added yet, e.g. while the style reloads
+        if (this.map.getLayer(target)) {
+            this.map.setPaintProperty(target, 'fill-color',
+                LAYERS.createFillColor(property, PALETTES.getScaleName(overlayConfig), this.overlayDomains[target]));
+        }
+        this.updateLegend();
+    }
+
+    /**
+     * Add the shown period to the legend title of the animated layer
+     */
+    withTimelinePeriod(target, spec) {
+        if (!spec || !this.timeline || this.timeline.target !== target) return spec;
+        return { ...spec, title: `${spec.title} · ${TIMELINE.formatPeriod(this.timeline.periods[this.timeline.index])}` };
+    }
+
+    /**
+     * Rebuild the filter attribute list and filter cards for the current stage
+     */
+    updateFilterControls() {
+        const section = document.getElementById('filter-section');
+        section.classList.toggle('hidden', !this.showAnalysisLayer || this.stageAttributes.length === 0);
+
+        const select = document.getElementById('filter-attribute');
+        select.innerHTML = '<option value="">Add filter…</option>';
+        this.stageAttributes
+            .filter(attr => !this.filters[attr.name])
+            .forEach(attr => {
+                const option = document.createElement('option');
+                option.value = attr.name;
+                option.textContent = this.formatPropertyLabel(attr.name);
+                select.appendChild(option);
+            });
+
+        document.getElementById('filter-list').innerHTML =
+            FILTERS.generateFilterList(this.filters, this.stageAttributes);
+        document.getElementById('filter-clear').classList.toggle('hidden', Object.keys(this.filters).length === 0);
+    }
+
+    /**
+     * Apply the attribute filters to every analysis layer, outlines included
+     */
+    applyFilters() {
+        const conditions = [
+            FILTERS.buildExpression(this.filters, this.stageAttributes),
+            this.flowMode && this.flowZone !== null ? FLOWS.getFocusFilter(this.flowZone) : null
+        ].filter(Boolean);
+        const expression = conditions.length > 1 ? ['all', ...conditions] : conditions[0] || null;
+        this.activeLayers.forEach(layerId => {
+            [layerId, layerId + '-outline', layerId + '-arrows'].forEach(id => {
+                if (this.map.getLayer(id)) {
+                    this.map.setFilter(id, expression);
+                }
+            });
+        });
+        this.updateFilterCount();
+        this.scheduleStatsUpdate();
+    }
+
+    /**
+     * Show how many features in view match the active filters
+     */
+    updateFilterCount() {
+        const countElement = document.getElementById('filter-count');
+        if (!countElement) return;
+
+        if (!FILTERS.buildExpression(this.filters, this.stageAttributes)) {
+            countElement.textContent = '';
+            return;
+        }
+
+        const count = FILTERS.countRendered(this.map, this.activeLayers);
+        countElement.textContent = `${count.toLocaleString()} matching feature${count === 1 ? '' : 's'} in view`;
+    }
+
+    /**
+     * Update the stats panel once the map has rendered the current view
+     */
+    scheduleStatsUpdate() {
+        const token = {};
+        this.statsRequest = token;
+        this.map.once('idle', () => {
+            if (this.statsRequest !== token) return;
+            this.statsRequest = null;
+            this.updateStats();
+        });
+    }
+
+    /**
+     * Summarise the stage's colour property over the features in view
+     * With all regions shown, each configured region with data gets a row.
+     */
+    updateStats() {
+        const content = document.getElementById('stats-content');
+        if (!this.showAnalysisLayer || this.activeLayers.length === 0) {
+            content.innerHTML = '<div class="panel-note">No analysis layer shown</div>';
+            return;
+        }
+
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        const property = this.getStageColorProperty();
+        const colorScale = PALETTES.getScale(PALETTES.getScaleName(stageConfig));
+        let values = STATS.collectValues(this.map, this.activeLayers, property);
+        let title = stageConfig.legendTitle;
+
+        if (this.currentStage === RANGE.stage) {
+            // Count the categories for the chosen range rather than the modelled 100 km
+            const trips = STATS.collectValues(this.map, this.activeLayers, props => props);
+            RANGE.check(trips.map(({ value }) => value));
+            values = trips.map(({ region, value }) => ({ region, value: RANGE.classifyTrip(value, this.rangeKm) }));
+            title = RANGE.getTitle(this.rangeKm);
+        } else if (this.getCustomScore()) {
+            values = STATS.collectValues(this.map, this.activeLayers,
+                props => WEIGHTING.compute(props, this.weights, this.weightComponents));
+            title = 'Custom Score';
+        }
+        const stats = STATS.describe(values.map(v => v.value), colorScale);
+
+        const regionStats = this.currentRegion === 'all'
+            ? CONFIG.regions
+                .filter(region => MANIFEST.hasStage(region.id, this.currentStage))
+                .map(region => ({
+                    name: region.name,
+                    stats: STATS.describe(values.filter(v => v.region === region.id).map(v => v.value), colorScale)
+                }))
+            : null;
+
+        content.innerHTML = STATS.render(
+            title, stats, regionStats, (value) => this.formatPropertyValue(property, value)
+        );
+    }
+
+    /**
+     * Whether the charging network stage is shown (coverage and scenarios apply to it)
+     */
+    isChargingNetworkShown() {
+        return this.showAnalysisLayer && this.currentStage === 'charging_network';
+    }
+
+    /**
+     * Show the coverage tools on the charging network stage; leaving it drops the chargers picked
+     */
+    updateCoverageSection() {
+        const available = this.isChargingNetworkShown();
+        document.getElementById('coverage-section').classList.toggle('hidden', !available);
+        if (!available) {
+            this.coverageChargers.clear();
+        }
+        this.updateCoverage();
+    }
+
+    /**
+     * Add or remove a charger from the coverage analysis
+     */
+    toggleCoverageCharger(poiId) {
+        if (this.coverageChargers.has(poiId)) {
+            this.coverageChargers.delete(poiId);
+        } else {
+            const charger = (CHARGERS.features || []).find(f => f.properties.poi_id === poiId);
+            if (!charger) return;
+            this.coverageChargers.set(poiId, charger);
+        }
+        this.updateCoverage();
+    }
+
+    /**
+     * Add every charger in view that passes the charger filters
+     */
+    addVisibleChargersToCoverage() {
+        if (!this.showChargers || !CHARGERS.features) return;
+        const bounds = this.map.getBounds();
+        CHARGERS.filterFeatures(this.chargerFilter).features
+            .filter(charger => bounds.contains(charger.geometry.coordinates))
+            .forEach(charger => this.coverageChargers.set(charger.properties.poi_id, charger));
+        this.updateCoverage();
+    }
+
+    /**
+     * Redraw the coverage buffers and results once the zones in view have loaded
+     */
+    updateCoverage() {
+        const results = document.getElementById('coverage-results');
+        if (this.coverageChargers.size === 0 || !this.isChargingNetworkShown()) {
+            this.coverageRequest = null;
+            COVERAGE.clear(this.map);
+            results.innerHTML = '<div class="panel-note">No chargers chosen yet</div>';
+            return;
+        }
+
+        const regions = (this.currentRegion === 'all'
+            ? MANIFEST.getRegions().map(r => r.id)
+            : [this.currentRegion]
+        ).filter(region => MANIFEST.hasStage(region, this.currentStage));
+        const sources = COVERAGE.getZoneSources(regions, this.currentStage);
+        COVERAGE.setZoneSources(this.map, sources);
+
+        const token = {};
+        this.coverageRequest = token;
+        this.map.once('idle', () => {
+            if (this.coverageRequest !== token) return;
+            this.coverageRequest = null;
+
+            const radii = COVERAGE.parseRadii(document.getElementById('coverage-radii').value);
+            const threshold = parseFloat(document.getElementById('coverage-threshold').value);
+            const chargers = [...this.coverageChargers.values()];
+            const bounds = this.map.getBounds();
+            const zones = COVERAGE.collectZones(this.map, sources)
+                .filter(zone => zone.centroid && bounds.contains(zone.centroid));
+
+            const result = COVERAGE.analyse(zones, chargers, radii, threshold);
+            COVERAGE.draw(this.map, chargers, radii, result);
+            results.innerHTML = COVERAGE.generateResults(result, radii, chargers.length);
+        });
+        // Make sure an idle event follows even if nothing else changes
+        this.map.triggerRepaint();
+    }
+
+    /**
+     * Show the scenario tools on the charging network stage
+     * The scenario itself is kept (in localStorage) while other stages are shown.
+     */
+    updateScenarioSection() {
+        const available = this.isChargingNetworkShown();
+        document.getElementById('scenario-section').classList.toggle('hidden', !available);
+        if (!available) this.scenarioPopup.remove();
+        this.updateScenario();
+    }
+
+    /**
+     * Place a hypothetical charger with the points set in the panel
+     */
+    addScenarioCharger(lngLat) {
+        SCENARIO.add(lngLat, document.getElementById('scenario-points').value);
+        this.updateScenario();
+    }
+
+    /**
+     * Open the editor (points, remove) of a hypothetical charger
+     */
+    editScenarioCharger(id) {
+        const charger = SCENARIO.chargers.find(c => c.id === id);
+        if (!charger) return;
+
+        const content = document.createElement('div');
+        content.innerHTML = SCENARIO.generateChargerEditor(charger);
+        content.querySelector('.scenario-editor-points').addEventListener('change', (e) => {
+            SCENARIO.setPoints(id, e.target.value);
+            e.target.value = charger.points;
+            this.updateScenario();
+        });
+        content.querySelector('.scenario-editor-remove').addEventListener('click', () => {
+            SCENARIO.remove(id);
+            this.scenarioPopup.remove();
+            this.updateScenario();
+        });
+
+        this.scenarioPopup.setLngLat(charger.lngLat).setDOMContent(content).addTo(this.map);
+    }
+
+    /**
+     * Replace the scenario with the chargers in a GeoJSON file
+     */
+    async importScenario(file) {
+        const note = document.getElementById('scenario-note');
+        try {
+            SCENARIO.setChargers(SCENARIO.fromGeoJSON(JSON.parse(await file.text())));
+        } catch (error) {
+            note.textContent = `Could not import ${file.name}: ${error.message}`;
+            return;
+        }
+        SCENARIO.save();
+        this.scenarioPopup.remove();
+        note.textContent = `Imported ${SCENARIO.chargers.length.toLocaleString()} hypothetical charger${SCENARIO.chargers.length === 1 ? '' : 's'}`;
+        this.updateScenario();
+    }
+
+    /**
+     * Redraw the hypothetical chargers and recompute accessibility once the zones have loaded
+     * Zones come from the loaded tiles of the charging network layers.
+     */
+    updateScenario() {
+        const results = document.getElementById('scenario-results');
+        this.scenarioZones = [];
+        if (!this.isChargingNetworkShown()) {
+            this.scenarioRequest = null;
+            SCENARIO.removeLayers(this.map);
+            return;
+        }
+
+        SCENARIO.addLayers(this.map);
+        if (SCENARIO.chargers.length === 0) {
+            this.scenarioRequest = null;
+            SCENARIO.drawZones(this.map, []);
+            results.innerHTML = SCENARIO.generateResults([]);
+            return;
+        }
+
+        const sources = this.activeLayers.map(layerId => {
+            const region = layerId.split('-')[0];
+            return { region, sourceId: `${layerId}-source`, sourceLayer: LAYERS.getSourceLayer(region, this.currentStage) };
+        });
+
+        const token = {};
+        this.scenarioRequest = token;
+        this.map.once('idle', () => {
+            if (this.scenarioRequest !== token) return;
+            this.scenarioRequest = null;
+
+            const zones = SCENARIO.recompute(COVERAGE.collectZones(this.map, sources));
+            this.scenarioZones = zones;
+            SCENARIO.drawZones(this.map, zones);
+            results.innerHTML = SCENARIO.generateResults(zones);
+        });
+        // Make sure an idle event follows even if nothing else changes
+        this.map.triggerRepaint();
+    }
+
+    /**
+     * Add a zone's scenario accessibility to the info panel, if a hypothetical charger is near
+     */
+    showScenarioZoneInfo(feature) {
+        const region = feature.layer.id.split('-')[0];
+        const zone = this.scenarioZones.find(z => z.region === region && EXPORT.isPieceOf(feature, z));
+        if (zone) {
+            document.getElementById('info-content').insertAdjacentHTML('afterbegin', SCENARIO.generateZoneInfo(zone));
+        }
+    }
+
+    /**
+     * Whether a line (flow) stage is shown
+     */
+    isFlowStageShown() {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        return this.showAnalysisLayer && stageConfig.type === 'line';
+    }
+
+    /**
+     * Show the flow tools on the line stages
+     * The flow mode needs origin/destination codes in every shown archive.
+     */
+    updateFlowsSection() {
+        const available = this.isFlowStageShown();
+        document.getElementById('flows-section').classList.toggle('hidden', !available);
+
+        const hasCodes = available && this.activeLayers.length > 0 && this.activeLayers.every(layerId =>
+            FLOWS.hasCodes(MANIFEST.getLayerArchive(layerId.split('-')[0], this.currentStage)));
+        if (!hasCodes) {
+            this.flowMode = false;
+            this.flowZone = null;
+        }
+
+        const toggle = document.getElementById('flows-toggle');
+        toggle.disabled = !hasCodes;
+        toggle.checked = this.flowMode;
+        document.getElementById('flows-controls').classList.toggle('hidden', !this.flowMode);
+        document.getElementById('flows-note').textContent = available && !hasCodes
+            ? 'These flow archives have no origin/destination codes; regenerate them with the conversion script to explore flows by zone'
+            : '';
+
+        this.updateFlows();
+    }
+
+    /**
+     * Show the flows of a zone (null shows all flows again)
+     */
+    focusFlowZone(code) {
+        this.flowZone = code;
+        this.updateFlows();
+    }
+
+    /**
+     * Apply the flow mode: zone layers, the focus filter, arrows, and widths and
+     * the side list once the focused flows have loaded
+     */
+    updateFlows() {
+        const list = document.getElementById('flows-list');
+        this.flowRequest = null;
+
+        if (!this.flowMode) {
+            FLOWS.removeZoneLayers(this.map);
+            this.flowZoneLayers = [];
+            this.activeLayers.forEach(layerId => FLOWS.removeArrowLayer(this.registry, layerId));
+            if (this.isFlowStageShown()) this.restoreFlowWidths();
+            list.innerHTML = '';
+            this.applyFilters();
+            return;
+        }
+
+        const layers = this.activeLayers.map(layerId => ({ layerId, region: layerId.split('-')[0] }));
+        FLOWS.removeZoneLayers(this.map, layers.map(({ region }) => region));
+        this.flowZoneLayers = layers
+            .map(({ region }) => FLOWS.addZoneLayer(this.map, region, this.activeLayers[0]))
+            .filter(Boolean);
+        layers.forEach(({ layerId, region }) => {
+            FLOWS.setFocusedZone(this.map, region, this.flowZone);
+            if (this.flowArrows) {
+                FLOWS.addArrowLayer(this.registry, layerId, region, this.currentStage);
+            } else {
+                FLOWS.removeArrowLayer(this.registry, layerId);
+            }
+        });
+        this.applyFilters();
+
+        if (this.flowZone === null) {
+            this.restoreFlowWidths();
+            list.innerHTML = `<div class="panel-note">Click a ${this.flowZoneLayers.length > 0 ? 'zone' : 'flow'} to show only its flows</div>`;
+            return;
+        }
+
+        const zone = this.flowZone;
+        const token = {};
+        this.flowRequest = token;
+        this.map.once('idle', () => {
+            if (this.flowRequest !== token) return;
+            this.flowRequest = null;
+
+            const sources = layers.map(({ layerId, region }) => ({
+                sourceId: `${layerId}-source`,
+                sourceLayer: LAYERS.getSourceLayer(region, this.currentStage)
+            }));
+            const flows = FLOWS.collectFlows(this.map, sources, FLOWS.getFocusFilter(zone), this.rangeKm);
+            const width = FLOWS.getWidthExpression(FLOWS.countPairs(flows));
+            layers.forEach(({ layerId }) => this.map.setPaintProperty(layerId, 'line-width', width));
+
+            // The purposes listed do not depend on the chosen one
+            const purposeSelect = document.getElementById('flows-purpose');
+            this.updateFlowPurposes(FLOWS.summarize(flows, zone, null).purposes);
+            list.innerHTML = FLOWS.generateSummary(
+                zone, FLOWS.summarize(flows, zone, purposeSelect.value || null), this.rangeKm
+            );
+        });
+        // Make sure an idle event follows even if nothing else changes
+        this.map.triggerRepaint();
+    }
+
+    /**
+     * List the purposes of the focused zone's trips, keeping the choice if it is still there
+     */
+    updateFlowPurposes(purposes) {
+        const select = document.getElementById('flows-purpose');
+        const current = select.value;
+        select.innerHTML = '<option value="">All purposes</option>';
+        purposes.forEach(purpose => {
+            const option = document.createElement('option');
+            option.value = purpose;
+            option.textContent = purpose;
+            select.appendChild(option);
+        });
+        select.value = purposes.includes(current) ? current : '';
+    }
+
+    /**
+     * Give the flow layers their usual width back
+     */
+    restoreFlowWidths() {
+        this.activeLayers.forEach(layerId => {
+            if (!this.map.getLayer(layerId)) return;
+            this.map.setPaintProperty(layerId, 'line-width',
+                FLOWS.getDefaultWidth(layerId.split('-')[0], this.currentStage));
+        });
+    }
+
+    /**
+     * Download the analysis features in view (after filters) as CSV or GeoJSON
+     */
+    exportFeatures() {
+        const format = document.getElementById('export-format').value;
+        const note = document.getElementById('export-note');
+
+        let features = EXPORT.collectFeatures(this.map, this.activeLayers);
+        if (features.length === 0) {
+            note.textContent = 'No features in view to export';
+            return;
+        }
+
+        if (document.getElementById('export-formatted').checked) {
+            features = EXPORT.formatFeatures(features, (key, value) => this.formatPropertyValue(key, value));
+        }
+
+        const content = format === 'geojson' ? EXPORT.toGeoJson(features) : EXPORT.toCsv(features);
+        EXPORT.download(
+            content,
+            EXPORT.getFileName(this.currentRegion, this.currentStage, format),
+            EXPORT.formats[format].mimeType
+        );
+        note.textContent = `Exported ${features.length.toLocaleString()} feature${features.length === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Export the current view as a print-resolution PNG or PDF page
+     */
+    async printMap() {
+        const button = document.getElementById('print-button');
+        const note = document.getElementById('print-note');
+        const format = document.getElementById('print-format').value;
+        const dpi = parseInt(document.getElementById('print-dpi').value, 10);
+
+        const region = MANIFEST.getRegions().find(r => r.id === this.currentRegion);
+        const regionName = region ? region.name : 'All Regions';
+        const stageConfig = CONFIG.stages.find(s => s.id === this.currentStage);
+        const fileName = EXPORT.getFileName(this.currentRegion, this.currentStage, format);
+
+        button.disabled = true;
+        note.textContent = 'Rendering map…';
+        try {
+            const result = await PRINT.render({
+                map: this.map,
+                legends: this.getLegendSpecs(),
+                title: this.showAnalysisLayer ? `${stageConfig.name} — ${regionName}` : regionName,
+                subtitle: `Frugal EV Adoption Feasibility · ${new Date().toLocaleDateString()}`,
+                attribution: CONFIG.basemaps[this.currentBasemap].attribution,
+                paper: document.getElementById('print-paper').value,
+                orientation: document.getElementById('print-orientation').value,
+                dpi,
+                format,
+                fileName
+            });
+            note.textContent = result.dpi < dpi
+                ? `Saved ${fileName} at ${result.dpi} dpi (the largest this browser can render)`
+                : `Saved ${fileName}`;
+        } catch (error) {
+            console.error('Map export failed:', error);
+            note.textContent = `Export failed: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Layers that respond to hover and click, topmost (chargers) first
+     */
+    getInteractiveLayers() {
+        return [SCENARIO.layerId, CHARGERS.layerId, CHARGERS.clusterLayerId, ...this.activeLayers, ...this.flowZoneLayers]
+            .filter(id => this.map.getLayer(id));
+    }
+
+    /**
+     * Get the topmost interactive feature at a point, if any
+     */
+    getFeatureAt(point) {
+        const layers = this.getInteractiveLayers();
+        if (layers.length === 0) return null;
+        return this.map.queryRenderedFeatures(point, { layers })[0] || null;
+    }
+
+    /**
+     * Handlers of a map's TileTracker: the spinner shows while either map loads tiles
+     */
+    getTileHandlers() {
+        return {
+            onLoadingChange: () => this.updateTileLoading(),
+            onRetry: (label, fallback) => this.showToast(fallback
+                ? `${label}: CDN unavailable, loading the local copy`
+                : `${label} failed to load, retrying…`),
+            onFailure: (label, retry) => this.showToast(`Could not load ${label}`, { action: retry, duration: 0 })
+        };
+    }
+
+    /**
+     * Show the tile spinner while the main or compare map loads tiles
+     */
+    updateTileLoading() {
+        const loading = [this.tiles, this.compare.tiles].some(tracker => tracker && tracker.isLoading());
+        document.getElementById('tile-loading').classList.toggle('hidden', !loading);
+    }
+
+    /**
+     * Show a message over the map, once while the same one is shown
+     * `action` adds a button that runs it and closes the toast; a `duration`
+     * of 0 keeps the toast until it is closed.
+     */
+    showToast(message, { action = null, actionLabel = 'Retry', duration = 6000 } = {}) {
+        const container = document.getElementById('toasts');
+        if ([...container.children].some(toast => toast.dataset.message === message)) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.dataset.message = message;
+        toast.setAttribute('role', 'alert');
+        toast.innerHTML = `
+            <span>${SEARCH.escapeHtml(message)}</span>
+            ${action ? `<button class="toast-action">${SEARCH.escapeHtml(actionLabel)}</button>` : ''}
+            <button class="toast-close" title="Dismiss">&times;</button>
+        `;
+        container.appendChild(toast);
+
+        const close = () => toast.remove();
+        toast.querySelector('.toast-close').addEventListener('click', close);
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                close();
+                action();
+            });
+        }
+        if (duration > 0) setTimeout(close, duration);
+    }
+
+    /**
+     * Handle map click to show feature info
+     */
+    handleMapClick(e) {
+        const feature = this.getFeatureAt(e.point);
+
+        if (feature && feature.layer.id === SCENARIO.layerId) {
+            this.editScenarioCharger(feature.id);
+            return;
+        }
+        if (this.isChargingNetworkShown() && document.getElementById('scenario-place').checked) {
+            this.addScenarioCharger([e.lngLat.lng, e.lngLat.lat]);
+            return;
+        }
+
+        if (!feature) {
+            document.getElementById('info-panel').classList.add('hidden');
+            this.clearSelection();
+            this.clearSearchResult();
+            return;
+        }
+
+        if (feature.layer.id === CHARGERS.clusterLayerId) {
+            this.expandCluster(feature);
+            return;
+        }
+
+        // In the flow mode a zone (or a flow, for its origin) picks the flows to show
+        if (this.flowZoneLayers.includes(feature.layer.id)) {
+            const code = String(feature.properties.geo_code);
+            this.focusFlowZone(code === this.flowZone ? null : code);
+            return;
+        }
+        if (this.flowMode && this.activeLayers.includes(feature.layer.id)) {
+            this.focusFlowZone(String(feature.properties[FLOWS.originProperty]));
+        }
+
+        if (feature.layer.id === CHARGERS.layerId) {
+            this.showChargerInfo(feature.properties);
+            if (this.isChargingNetworkShown() && document.getElementById('coverage-pick').checked) {
+                this.toggleCoverageCharger(feature.properties.poi_id);
+            }
+        } else {
+            this.showFeatureInfo(this.withCustomScore(feature.properties, this.currentStage), this.currentStage);
+            this.showScenarioZoneInfo(feature);
+        }
+        this.selectFeature(feature);
+    }
+
+    /**
+     * Show a tooltip and hover highlight for the feature under the pointer
+     */
+    handleMapHover(e) {
+        const feature = this.getFeatureAt(e.point);
+        if (!feature) {
+            this.clearHover();
+            return;
+        }
+
+        this.map.getCanvas().style.cursor = 'pointer';
+        if (!this.isHovered(feature)) {
+            this.setFeatureFlag(this.hoveredFeature, 'hover', false);
+            this.hoveredFeature = this.getFeatureTarget(feature, false);
+            this.setFeatureFlag(this.hoveredFeature, 'hover', true);
+        }
+
+        this.tooltip
+            .setLngLat(e.lngLat)
+            .setHTML(this.getTooltipHtml(feature))
+            .addTo(this.map);
+    }
+
+    /**
+     * Remove the hover highlight and tooltip
+     */
+    clearHover() {
+        this.setFeatureFlag(this.hoveredFeature, 'hover', false);
+        this.hoveredFeature = null;
+        if (this.tooltip) this.tooltip.remove();
+        if (this.map) this.map.getCanvas().style.cursor = '';
+    }
+
+    /**
+     * Build the tooltip: a cluster's totals, a charger's name and points, or the stage's key properties
+     */
+    getTooltipHtml(feature) {
+        const props = feature.properties;
+        let rows;
+        if (feature.layer.id === CHARGERS.clusterLayerId) {
+            rows = [['Chargers', props.point_count.toLocaleString()], ['Charging Points', props.total_points.toLocaleString()]];
+        } else if (feature.layer.id === CHARGERS.layerId) {
+            rows = [['Name', props.title || 'Charging station'], ['Charging Points', props.number_of_points]];
+        } else if (feature.layer.id === SCENARIO.layerId) {
+            rows = [['Name', 'Hypothetical charger'], ['Charging Points', props.number_of_points]];
+        } else if (this.flowZoneLayers.includes(feature.layer.id)) {
+            rows = [['Data Zone', props.geo_code]];
+        } else {
+            const values = this.withCustomScore(props, this.currentStage);
+            rows = this.getKeyProperties(this.currentStage).map(prop => [
+                this.formatPropertyLabel(prop),
+                values[prop] === undefined ? undefined : this.formatPropertyValue(prop, values[prop])
+            ]);
+        }
+
+        return rows
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([label, value]) => `
+                <div class="tooltip-row">
+                    <span class="tooltip-label">${label}</span>
+                    <span class="tooltip-value">${value}</span>
+                </div>
+            `).join('') || '<div class="tooltip-row">No details</div>';
+    }
+
+    /**
+     * Mark a clicked feature as selected (until the info panel closes)
+     */
+    selectFeature(feature) {
+        this.clearSelection();
+        this.selectedFeature = this.getFeatureTarget(feature, true);
+        this.setFeatureFlag(this.selectedFeature, 'selected', true);
+    }
+
+    /**
+     * Remove the selected highlight
+     */
+    clearSelection() {
+        this.setFeatureFlag(this.selectedFeature, 'selected', false);
+        this.selectedFeature = null;
+    }
+
+    /**
+     * Re-apply the selected highlight after its source was re-added
+     * Feature state is dropped with the source (stage or basemap change); a
+     * selection whose source is gone stays recorded in case it comes back.
+     */
+    restoreSelection() {
+        this.setFeatureFlag(this.selectedFeature, 'selected', true);
+    }
+
+    /**
+     * Highlight target of a rendered feature: { source, sourceLayer, id } for feature-state
+     * Features without an id, which is all of the committed archives, get id
+     * null and are drawn from copies of their geometry instead: a hovered
+     * feature from the piece under the pointer, a selected one (with `merge`)
+     * from all its rendered pieces, gathered once on click (see EXPORT.mergePieces).
+     */
+    getFeatureTarget(feature, merge) {
+        const target = { source: feature.source, sourceLayer: feature.sourceLayer, id: feature.id };
+        if (feature.id !== undefined && feature.id !== null) return target;
+
+        const copy = { ...target, id: null, layerId: feature.layer.id, feature };
+        if (!merge) {
+            return { ...copy, geometries: [feature.geometry], bbox: EXPORT.getBounds(feature.geometry) };
+        }
+        const filter = ['all', ...Object.entries(feature.properties).map(([key, value]) => ['==', ['get', key], value])];
+        const pieces = this.map.queryRenderedFeatures({ layers: [feature.layer.id], filter });
+        const merged = EXPORT.mergePieces(pieces).find(entry => EXPORT.isPieceOf(feature, entry)) ||
+            EXPORT.mergePieces([feature])[0];
+        return { ...copy, geometries: merged.geometries, bbox: merged.bbox };
+    }
+
+    /**
+     * Whether a rendered feature is the one highlighted as hovered
+     * Features without an id are compared piece by piece, as only the hovered piece is drawn.
+     */
+    isHovered(feature) {
+        const target = this.hoveredFeature;
+        if (!target || feature.source !== target.source || feature.sourceLayer !== target.sourceLayer) return false;
+        if (target.id === null) {
+            return JSON.stringify(feature.properties) === JSON.stringify(target.feature.properties) &&
+                EXPORT.getBounds(feature.geometry).every((value, i) => value === target.bbox[i]);
+        }
+        return feature.id === target.id;
+    }
+
+    /**
+     * Set or clear a highlight flag, if the feature's source is on the map
+     * Features without an id are drawn from their copied geometries while their layer is shown.
+     */
+    setFeatureFlag(target, flag, value) {
+        if (!target) return;
+        if (target.id === null) {
+            const shown = this.map.getLayer(target.layerId) &&
+                this.map.getLayoutProperty(target.layerId, 'visibility') !== 'none';
+            this.copiedHighlights[flag] = value && shown ? target : null;
+            LAYERS.setHighlight(this.map, this.copiedHighlights);
+            return;
+        }
+        if (!this.map.getSource(target.source)) return;
+        this.map.setFeatureState(target, { [flag]: value });
+    }
+
+    /**
+     * Show a feature's properties in the info panel, key properties first
+     */
+    showFeatureInfo(properties, stage) {
+        let html = '';
 
         // Show key properties based on stage
-        const keyProps = this.getKeyProperties(this.currentStage);
+        const keyProps = this.getKeyProperties(stage);
         keyProps.forEach(prop => {
             if (properties[prop] !== undefined) {
                 const label = this.formatPropertyLabel(prop);
@@ -375,7 +2906,7 @@ class EVModellingApp {
             'range_feasibility': ['origin_code', 'destination_code', 'feasibility_category', 'distance_km'],
             'conversion_potential': ['geo_code', 'conversion_potential'],
             'ev_assignment_replaceable_only': ['geo_code', 'ev_type', 'two_seater_score', 'four_seater_score'],
-            'integrated_conversion_with_ev_types': ['geo_code', 'integrated_score', 'deployment_priority']
+            'integrated_conversion_with_ev_types': ['geo_code', 'integrated_score', 'custom_score', 'deployment_priority']
         };
         return propMap[stage] || ['geo_code'];
     }
@@ -406,29 +2937,53 @@ class EVModellingApp {
     }
 
     /**
-     * Update legend based on current stage and active overlays
+     * Describe the legends of the analysis layer and active overlays
      */
-    updateLegend() {
-        const legendContainer = document.getElementById('legend');
-        let html = '';
+    getLegendSpecs() {
+        const specs = [];
 
         // Add analysis layer legend if enabled
-        if (this.showAnalysisLayer) {
-            html += LAYERS.generateLegend(this.currentStage);
+        if (this.bivariateLegend && this.getBivariateAttributes().length > 0) {
+            specs.push(this.bivariateLegend);
+        } else if (this.showAnalysisLayer && this.currentStage === RANGE.stage) {
+            specs.push(RANGE.getLegendSpec(this.rangeKm));
+        } else if (this.getCustomScore()) {
+            specs.push({ ...LAYERS.getLegendSpec(this.currentStage, WEIGHTING.domain, this.stageClasses), title: 'Custom Score' });
+        } else if (this.showAnalysisLayer) {
+            const spec = this.withTimelinePeriod('stage',
+                LAYERS.getLegendSpec(this.currentStage, this.stageDomain, this.stageClasses));
+            // Without its colour property every feature falls back to one colour (see LAYERS.createFillColor)
+            const property = CONFIG.stages.find(s => s.id === this.currentStage).colorProperty;
+            specs.push(spec && this.activeLayers.length > 0 && !this.isPropertyInTiles(property)
+                ? { ...spec, note: `${property} not in tiles, so all features are drawn in one colour` }
+                : spec);
         }
 
         // Add overlay legends
         if (this.showCarAvailability) {
-            if (html) html += '<hr class="legend-divider">';
-            html += LAYERS.generateOverlayLegend('car_availability');
+            specs.push(this.withTimelinePeriod('car_availability',
+                LAYERS.getOverlayLegendSpec('car_availability', this.overlayDomains.car_availability)));
         }
 
         if (this.showEvDistribution) {
-            if (html) html += '<hr class="legend-divider">';
-            html += LAYERS.generateOverlayLegend('ev_distribution');
+            specs.push(this.withTimelinePeriod('ev_distribution',
+                LAYERS.getOverlayLegendSpec('ev_distribution', this.overlayDomains.ev_distribution)));
         }
 
+        return specs.filter(Boolean);
+    }
+
+    /**
+     * Update legend based on current stage and active overlays
+     */
+    updateLegend() {
+        const legendContainer = document.getElementById('legend');
+        const html = this.getLegendSpecs()
+            .map(spec => LAYERS.renderLegend(spec))
+            .join('<hr class="legend-divider">');
+
         legendContainer.innerHTML = html || '<div class="legend-empty">No layers active</div>';
+        this.compare.updateLegend();
     }
 
     /**
@@ -442,13 +2997,16 @@ class EVModellingApp {
                 duration: 1000
             });
         } else {
-            const region = CONFIG.regions.find(r => r.id === this.currentRegion);
-            if (region) {
+            const region = MANIFEST.getRegions().find(r => r.id === this.currentRegion);
+            if (region && region.center) {
                 this.map.flyTo({
                     center: region.center,
                     zoom: region.zoom,
                     duration: 1000
                 });
+            } else if (region && region.bounds) {
+                // Regions only known from the manifest have no configured camera
+                this.map.fitBounds(region.bounds, { padding: 40, duration: 1000 });
             }
         }
     }
@@ -0,0 +1,240 @@
+// Bivariate choropleth for EV Modelling Web Visualization
+// Colours the zones of a polygon stage by two numeric attributes at once,
+// each split into tertiles, with the 3×3 matrix in CONFIG.bivariateColors.
+// An attribute may come from the stage's own tiles or from an overlay. Overlay
+// values are joined to the stage's zones by geo_code, or else taken from the
+// overlay polygon containing the zone's centroid. The joined values are keyed
+// by geo_code, or by another attribute that tells the loaded zones apart where
+// the zones have no geo_code (see getJoinKey).
+
+const BIVARIATE = {
+    joinProperty: 'geo_code',
+    noDataColor: '#d9d9d9',
+    classes: 3,
+
+    /**
+     * Numeric attributes to choose from: the stage's, then those of each overlay in the manifest
+     * Returns [{ key, source, property, label, group }] where `source` is 'stage' or an overlay id.
+     */
+    getAttributes(stageAttributes) {
+        const attributes = stageAttributes
+            .filter(attr => attr.type === 'number')
+            .map(attr => this.createAttribute('stage', attr.name, 'Stage'));
+
+        CONFIG.overlayLayers
+            .filter(overlay => MANIFEST.get(overlay.id))
+            .forEach(overlay => {
+                FILTERS.getAttributes([MANIFEST.get(overlay.id)])
+                    .filter(attr => attr.type === 'number')
+                    .forEach(attr => attributes.push(this.createAttribute(overlay.id, attr.name, overlay.name)));
+            });
+        return attributes;
+    },
+
+    /**
+     * Describe an attribute of the stage or an overlay
+     */
+    createAttribute(source, property, group) {
+        return {
+            key: `${source}:${property}`,
+            source,
+            property,
+            label: property.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
+            group
+        };
+    },
+
+    /**
+     * Stage attribute to key joined values by: geo_code where every zone has
+     * it, else the first attribute whose values tell all the zones apart
+     * Zones with equal attributes throughout (parts of one zone that
+     * EXPORT.mergePieces kept apart) count once. Returns null when no attribute
+     * does. The zones come from the loaded tiles, so the key is chosen again on
+     * every join as more of them load.
+     */
+    getJoinKey(zones) {
+        const distinct = [...new Map(zones.map(zone => [JSON.stringify(zone.properties), zone.properties])).values()];
+        if (distinct.length === 0) return null;
+        const names = [this.joinProperty, ...Object.keys(distinct[0]).filter(name => name !== this.joinProperty)];
+        return names.find(name => {
+            const values = distinct.map(properties => properties[name]);
+            return values.every(value => typeof value === 'string' || typeof value === 'number') &&
+                new Set(values.map(String)).size === distinct.length;
+        }) || null;
+    },
+
+    /**
+     * Source and probe layer ids of an overlay read for the join
+     */
+    getProbeIds(overlayId) {
+        return { sourceId: `bivariate-${overlayId}-source`, layerId: `bivariate-${overlayId}-probe` };
+    },
+
+    /**
+     * Load an overlay's tiles for the join, through an invisible layer
+     * A source of its own keeps it independent of the overlay being shown.
+     */
+    addProbe(map, overlayId) {
+        const overlay = CONFIG.overlayLayers.find(o => o.id === overlayId);
+        const archive = MANIFEST.get(overlayId);
+        const { sourceId, layerId } = this.getProbeIds(overlayId);
+        if (!map.getSource(sourceId)) {
+            map.addSource(sourceId, { type: 'vector', url: LAYERS.getArchiveUrl(archive) });
+        }
+        if (!map.getLayer(layerId)) {
+            map.addLayer({
+                id: layerId,
+                type: 'fill',
+                source: sourceId,
+                'source-layer': overlay.sourceLayer,
+                paint: { 'fill-opacity': 0 }
+            });
+        }
+    },
+
+    /**
+     * Remove the overlay probes, except those of the overlays in `keep`
+     */
+    removeProbes(map, keep = []) {
+        CONFIG.overlayLayers
+            .filter(overlay => !keep.includes(overlay.id))
+            .forEach(overlay => {
+                const { sourceId, layerId } = this.getProbeIds(overlay.id);
+                if (map.getLayer(layerId)) map.removeLayer(layerId);
+                if (map.getSource(sourceId)) map.removeSource(sourceId);
+            });
+    },
+
+    /**
+     * Overlay values of the stage zones (see COVERAGE.collectZones), by the
+     * zones' `key` attribute (see getJoinKey)
+     * Matched on geo_code where both the zones and the overlay have it,
+     * otherwise taken from the overlay polygon that contains the zone's centroid.
+     */
+    joinValues(map, overlayId, property, zones, key) {
+        const overlay = CONFIG.overlayLayers.find(o => o.id === overlayId);
+        const features = map.querySourceFeatures(this.getProbeIds(overlayId).sourceId, { sourceLayer: overlay.sourceLayer })
+            .filter(feature => typeof feature.properties[property] === 'number');
+        const values = new Map();
+
+        if (key === this.joinProperty && features.some(feature => feature.properties[this.joinProperty] !== undefined)) {
+            const byCode = new Map(features.map(feature => [String(feature.properties[this.joinProperty]), feature.properties[property]]));
+            zones.forEach(zone => {
+                const code = String(zone.properties[this.joinProperty]);
+                if (byCode.has(code)) values.set(code, byCode.get(code));
+            });
+            return values;
+        }
+
+        const polygons = features
+            .filter(feature => feature.geometry && /Polygon$/.test(feature.geometry.type))
+            .map(feature => ({ value: feature.properties[property], geometry: feature.geometry, bbox: this.getBounds(feature.geometry) }));
+        zones.forEach(zone => {
+            const [x, y] = zone.centroid;
+            const match = polygons.find(({ bbox, geometry }) =>
+                x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3] && this.containsPoint(geometry, zone.centroid));
+            if (match) values.set(String(zone.properties[key]), match.value);
+        });
+        return values;
+    },
+
+    /**
+     * [west, south, east, north] of a polygon geometry
+     */
+    getBounds(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        polygons.forEach(rings => rings[0].forEach(([x, y]) => {
+            bbox[0] = Math.min(bbox[0], x);
+            bbox[1] = Math.min(bbox[1], y);
+            bbox[2] = Math.max(bbox[2], x);
+            bbox[3] = Math.max(bbox[3], y);
+        }));
+        return bbox;
+    },
+
+    /**
+     * Whether a polygon geometry contains a point (even-odd rule, so holes are excluded)
+     */
+    containsPoint(geometry, [x, y]) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        return polygons.some(rings => {
+            let inside = false;
+            rings.forEach(ring => {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [xi, yi] = ring[i];
+                    const [xj, yj] = ring[j];
+                    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                        inside = !inside;
+                    }
+                }
+            });
+            return inside;
+        });
+    },
+
+    /**
+     * Tertile breaks of some values, strictly ascending (fewer when values repeat)
+     * Returns { breaks, domain } with the values' [min, max], or null without values.
+     */
+    getBreaks(values) {
+        const sorted = values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+
+        const domain = [sorted[0], sorted[sorted.length - 1]];
+        const breaks = CLASSIFY.quantileBreaks(sorted, this.classes)
+            .filter(b => b > domain[0])
+            .filter((b, i, list) => i === 0 || b > list[i - 1]);
+        return { breaks, domain };
+    },
+
+    /**
+     * Class of a value (0 = lowest tertile)
+     */
+    getClass(value, breaks) {
+        return breaks.filter(b => value >= b).length;
+    },
+
+    /**
+     * Expression for an attribute's class, -1 where it has no value
+     * Stage attributes are read from the feature; joined overlay values
+     * ({ key, values }, see joinValues) are classed here and matched on the key.
+     */
+    getClassExpression(attribute, breaks, joined) {
+        if (attribute.source === 'stage') {
+            const value = ['get', attribute.property];
+            const step = ['step', value, 0];
+            breaks.forEach((b, i) => step.push(b, i + 1));
+            return ['case', ['==', ['typeof', value], 'number'], step, -1];
+        }
+
+        if (!joined || joined.values.size === 0) return -1;
+        const match = ['match', ['to-string', ['get', joined.key]]];
+        joined.values.forEach((value, code) => match.push(code, this.getClass(value, breaks)));
+        match.push(-1);
+        return match;
+    },
+
+    /**
+     * Fill colour expression from the class expressions of the two attributes
+     */
+    createFillColor(xClass, yClass) {
+        const cell = ['match', ['+', ['*', this.classes, ['var', 'y']], ['var', 'x']]];
+        CONFIG.bivariateColors.forEach((row, y) => {
+            row.forEach((color, x) => cell.push(y * this.classes + x, color));
+        });
+        cell.push(this.noDataColor);
+
+        return ['let', 'x', xClass, 'y', yClass,
+            ['case', ['any', ['<', ['var', 'x'], 0], ['<', ['var', 'y'], 0]], this.noDataColor, cell]
+        ];
+    },
+
+    /**
+     * Describe the 2-D legend (see LAYERS.getLegendSpec)
+     * `x` and `y` are { label, breaks, domain } for the two axes.
+     */
+    getLegendSpec(x, y) {
+        return { title: 'Bivariate Map', matrix: { colors: CONFIG.bivariateColors, x, y } };
+    }
+};
@@ -0,0 +1,219 @@
+// Charging station layer for EV Modelling Web Visualization
+// Chargers are read from pmtiles/chargers.geojson, which write_charger_points()
+// extracts from chargers.pmtiles, because MapLibre can only cluster GeoJSON
+// sources. The town and minimum-points filters are applied to the data before
+// clustering, so cluster counts always match what is shown.
+
+const CHARGERS = {
+    id: 'chargers',  // Layer registry entry
+    sourceId: 'chargers-source',
+    layerId: 'chargers-layer',  // Individual chargers
+    clusterLayerId: 'chargers-clusters',
+    clusterCountLayerId: 'chargers-cluster-count',
+
+    clusterMaxZoom: 11,  // Chargers are shown individually above this zoom
+    clusterRadius: 40,
+    popupLimit: 10,  // Members listed in a cluster popup
+
+    features: null,  // GeoJSON point features once loaded
+    loading: null,  // Pending load, shared by concurrent callers
+
+    /**
+     * Fetch the charger points (once)
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(CONFIG.chargersUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load chargers (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.features = data.features || [];
+                })
+                .catch(error => {
+                    // Allow a later retry
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Distinct town names, sorted (spelling variants differing only in case are merged)
+     */
+    getTowns() {
+        const towns = new Map();
+        (this.features || []).forEach(feature => {
+            const town = (feature.properties.town || '').trim();
+            if (town && !towns.has(town.toLowerCase())) {
+                towns.set(town.toLowerCase(), town);
+            }
+        });
+        return [...towns.values()].sort((a, b) => a.localeCompare(b));
+    },
+
+    /**
+     * Largest number of charging points at one charger
+     */
+    getMaxPoints() {
+        return (this.features || []).reduce((max, feature) => Math.max(max, feature.properties.number_of_points || 0), 1);
+    },
+
+    /**
+     * Chargers matching a filter { town, minPoints } as a FeatureCollection
+     * `town` matches case-insensitively anywhere in the town name.
+     */
+    filterFeatures(filter) {
+        const town = (filter.town || '').trim().toLowerCase();
+        const features = (this.features || []).filter(feature => {
+            const props = feature.properties;
+            if (town && !(props.town || '').toLowerCase().includes(town)) return false;
+            return filter.minPoints <= 1 || (props.number_of_points || 0) >= filter.minPoints;
+        });
+        return { type: 'FeatureCollection', features };
+    },
+
+    /**
+     * Paint properties that follow the chargers' appearance (see CONFIG.layerAppearance), by style layer id
+     * A selected charger keeps its highlight with the outline switched off.
+     */
+    getAppearancePaint({ opacity, outline, outlineColor }) {
+        const selected = LAYERS.featureState('selected');
+        return {
+            [this.clusterLayerId]: {
+                'circle-opacity': opacity,
+                'circle-stroke-color': outlineColor,
+                'circle-stroke-width': outline ? 2 : 0
+            },
+            [this.layerId]: {
+                'circle-opacity': opacity,
+                'circle-stroke-color': ['case', selected, LAYERS.highlightColor, outlineColor],
+                'circle-stroke-width': ['case', selected, 3, outline ? 2 : 0]
+            }
+        };
+    },
+
+    /**
+     * Add the clustered source and its layers through a layer registry, or
+     * replace the data and show them if present
+     */
+    addLayers(registry, data, appearance = CONFIG.layerAppearance.chargers) {
+        if (registry.has(this.id)) {
+            registry.map.getSource(this.sourceId).setData(data);
+            registry.setVisible(this.id, true);
+            return;
+        }
+
+        const paint = this.getAppearancePaint(appearance);
+
+        registry.add(this.id, {
+            group: 'charger',
+            sources: {
+                [this.sourceId]: {
+                    type: 'geojson',
+                    data,
+                    promoteId: 'poi_id',
+                    cluster: true,
+                    clusterMaxZoom: this.clusterMaxZoom,
+                    clusterRadius: this.clusterRadius,
+                    clusterProperties: {
+                        total_points: ['+', ['coalesce', ['get', 'number_of_points'], 0]]
+                    }
+                }
+            },
+            layers: [
+                {
+                    id: this.clusterLayerId,
+                    type: 'circle',
+                    source: this.sourceId,
+                    filter: ['has', 'point_count'],
+                    paint: {
+                        'circle-color': ['step', ['get', 'point_count'], '#4ade80', 10, '#22c55e', 50, '#15803d'],
+                        'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 50, 24],
+                        ...paint[this.clusterLayerId]
+                    }
+                },
+                {
+                    id: this.clusterCountLayerId,
+                    type: 'symbol',
+                    source: this.sourceId,
+                    filter: ['has', 'point_count'],
+                    layout: {
+                        'text-field': ['get', 'point_count_abbreviated'],
+                        'text-font': CONFIG.labelFont,
+                        'text-size': 12,
+                        'text-allow-overlap': true
+                    },
+                    paint: {
+                        'text-color': '#ffffff'
+                    }
+                },
+                {
+                    id: this.layerId,
+                    type: 'circle',
+                    source: this.sourceId,
+                    filter: ['!', ['has', 'point_count']],
+                    paint: {
+                        'circle-radius': LAYERS.createPointRadius(),
+                        'circle-color': '#22c55e',
+                        ...paint[this.layerId]
+                    }
+                }
+            ]
+        });
+    },
+
+    /**
+     * Hide the charger layers, keeping the source and its data
+     */
+    hideLayers(registry) {
+        registry.setVisible(this.id, false);
+    },
+
+    /**
+     * Zoom level at which a cluster breaks apart
+     */
+    getExpansionZoom(map, clusterId) {
+        return map.getSource(this.sourceId).getClusterExpansionZoom(clusterId);
+    },
+
+    /**
+     * Up to `popupLimit` member chargers of a cluster
+     */
+    getClusterMembers(map, clusterId) {
+        return map.getSource(this.sourceId).getClusterLeaves(clusterId, this.popupLimit, 0);
+    },
+
+    /**
+     * Generate the cluster popup listing its members
+     * Members are listed with their index into `members` for click handling.
+     */
+    generateClusterList(members, total, totalPoints) {
+        const items = members.map((member, i) => {
+            const props = member.properties;
+            const detail = [props.town, props.number_of_points ? `${props.number_of_points} points` : null]
+                .filter(Boolean)
+                .join(' · ');
+            return `
+                <li class="cluster-member" data-index="${i}">
+                    <span class="cluster-member-title">${SEARCH.escapeHtml(props.title || 'Charging station')}</span>
+                    <span class="cluster-member-detail">${SEARCH.escapeHtml(detail)}</span>
+                </li>
+            `;
+        }).join('');
+
+        const more = total > members.length
+            ? `<div class="cluster-more">and ${(total - members.length).toLocaleString()} more — zoom in to see them</div>`
+            : '';
+
+        return `
+            <div class="cluster-heading">${total.toLocaleString()} chargers · ${totalPoints.toLocaleString()} points</div>
+            <ul class="cluster-members">${items}</ul>
+            ${more}
+        `;
+    }
+};
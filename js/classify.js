@@ -0,0 +1,239 @@
+// Choropleth classification for EV Modelling Web Visualization
+// Computes class breaks (quantile, equal interval, Jenks natural breaks or
+// user-entered) and the matching colours, rendered as MapLibre `step` expressions.
+
+const CLASSIFY = {
+    modes: [
+        { id: 'continuous', name: 'Continuous' },
+        { id: 'quantile', name: 'Quantile' },
+        { id: 'equal_interval', name: 'Equal Interval' },
+        { id: 'jenks', name: 'Natural Breaks (Jenks)' },
+        { id: 'custom', name: 'Custom Breaks' }
+    ],
+
+    minClasses: 3,
+    maxClasses: 9,
+
+    // Jenks is O(classes * n^2), so it runs on an evenly spaced subset of the sorted sample
+    jenksSampleSize: 1000,
+
+    /**
+     * Collect numeric values of a property from the loaded tiles of some sources
+     * `sources` is a list of { sourceId, sourceLayer }. `property` may also be
+     * a function computing the value from a feature's properties.
+     */
+    sampleValues(map, sources, property) {
+        const read = typeof property === 'function' ? property : props => props[property];
+        const values = [];
+        sources.forEach(({ sourceId, sourceLayer }) => {
+            if (!map.getSource(sourceId)) return;
+            map.querySourceFeatures(sourceId, { sourceLayer }).forEach(feature => {
+                const value = read(feature.properties);
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    values.push(value);
+                }
+            });
+        });
+        return values.sort((a, b) => a - b);
+    },
+
+    /**
+     * Compute the classes for a classification setting
+     * Returns { breaks, colors, min, max } where `breaks` are the n-1 inner
+     * thresholds, or null when the mode is continuous or there is no data.
+     * `values` must be sorted ascending; `domain` is the full data range if known.
+     */
+    classify(setting, values, domain, scaleName) {
+        if (setting.mode === 'continuous') return null;
+
+        const min = domain ? domain[0] : values[0];
+        const max = domain ? domain[1] : values[values.length - 1];
+        if (min === undefined || max === undefined) return null;
+
+        const count = Math.min(Math.max(setting.classes, this.minClasses), this.maxClasses);
+        let breaks;
+        switch (setting.mode) {
+            case 'quantile':
+                breaks = this.quantileBreaks(values, count);
+                break;
+            case 'equal_interval':
+                breaks = this.equalIntervalBreaks(min, max, count);
+                break;
+            case 'jenks':
+                breaks = this.jenksBreaks(values, count);
+                break;
+            case 'custom':
+                breaks = this.parseBreaks(setting.customBreaks);
+                break;
+            default:
+                return null;
+        }
+
+        // step expressions need strictly ascending stops inside the data range
+        breaks = breaks
+            .filter(b => b > min && b < max)
+            .filter((b, i, list) => i === 0 || b > list[i - 1]);
+        if (breaks.length === 0) return null;
+
+        return {
+            breaks,
+            colors: this.getClassColors(scaleName, breaks.length + 1),
+            min,
+            max
+        };
+    },
+
+    /**
+     * Breaks at evenly spaced ranks of the sorted values
+     */
+    quantileBreaks(values, count) {
+        if (values.length === 0) return [];
+        const breaks = [];
+        for (let i = 1; i < count; i++) {
+            breaks.push(values[Math.floor(i * values.length / count)]);
+        }
+        return breaks;
+    },
+
+    /**
+     * Breaks dividing [min, max] into equal widths
+     */
+    equalIntervalBreaks(min, max, count) {
+        const width = (max - min) / count;
+        const breaks = [];
+        for (let i = 1; i < count; i++) {
+            breaks.push(min + i * width);
+        }
+        return breaks;
+    },
+
+    /**
+     * Jenks natural breaks (Fisher's dynamic programming formulation)
+     * Minimises the within-class variance of the sorted values.
+     */
+    jenksBreaks(values, count) {
+        let data = values;
+        if (data.length > this.jenksSampleSize) {
+            const step = (data.length - 1) / (this.jenksSampleSize - 1);
+            data = Array.from({ length: this.jenksSampleSize }, (_, i) => values[Math.round(i * step)]);
+        }
+
+        const n = data.length;
+        if (n <= count) return data.slice(1);
+
+        // lowerLimits[i][j]: index (1-based) where class j starts for the first i values
+        const lowerLimits = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(0));
+        const variance = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(Infinity));
+        for (let j = 1; j <= count; j++) {
+            lowerLimits[1][j] = 1;
+            variance[1][j] = 0;
+        }
+
+        for (let i = 2; i <= n; i++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let w = 0;
+            let classVariance = 0;
+            for (let m = 1; m <= i; m++) {
+                const lower = i - m + 1;
+                const value = data[lower - 1];
+                w++;
+                sum += value;
+                sumSquares += value * value;
+                classVariance = sumSquares - (sum * sum) / w;
+                if (lower > 1) {
+                    for (let j = 2; j <= count; j++) {
+                        const candidate = classVariance + variance[lower - 1][j - 1];
+                        if (variance[i][j] >= candidate) {
+                            lowerLimits[i][j] = lower;
+                            variance[i][j] = candidate;
+                        }
+                    }
+                }
+            }
+            lowerLimits[i][1] = 1;
+            variance[i][1] = classVariance;
+        }
+
+        const breaks = [];
+        let k = n;
+        for (let j = count; j >= 2; j--) {
+            const lower = lowerLimits[k][j];
+            breaks.unshift(data[lower - 1]);
+            k = lower - 1;
+        }
+        return breaks;
+    },
+
+    /**
+     * Parse user-entered breaks ("0.2, 0.4; 0.6") into sorted numbers
+     */
+    parseBreaks(text) {
+        return (text || '')
+            .split(/[,;\s]+/)
+            .filter(part => part !== '')
+            .map(Number)
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b)
+            .slice(0, this.maxClasses - 1);
+    },
+
+    /**
+     * Sample `count` evenly spaced colours from a continuous colour scale
+     */
+    getClassColors(scaleName, count) {
+        const colorScale = PALETTES.getScale(scaleName);
+        const first = colorScale[0][0];
+        const last = colorScale[colorScale.length - 1][0];
+
+        return Array.from({ length: count }, (_, i) => {
+            const t = count === 1 ? 0.5 : i / (count - 1);
+            return this.interpolateColor(colorScale, first + t * (last - first));
+        });
+    },
+
+    /**
+     * Linearly interpolate a colour scale ([[value, '#rrggbb'], ...]) at a value
+     */
+    interpolateColor(colorScale, value) {
+        for (let i = 1; i < colorScale.length; i++) {
+            const [v0, c0] = colorScale[i - 1];
+            const [v1, c1] = colorScale[i];
+            if (value <= v1 || i === colorScale.length - 1) {
+                const t = Math.min(Math.max((value - v0) / (v1 - v0), 0), 1);
+                const a = this.hexToRgb(c0);
+                const b = this.hexToRgb(c1);
+                return this.rgbToHex(a.map((channel, k) => channel + (b[k] - channel) * t));
+            }
+        }
+        return colorScale[0][1];
+    },
+
+    /**
+     * Convert '#rrggbb' to [r, g, b]
+     */
+    hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    /**
+     * Convert [r, g, b] to '#rrggbb'
+     */
+    rgbToHex(rgb) {
+        return '#' + rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Build a `step` colour expression for a set of classes
+     * `colorProperty` may also be an expression computing the value.
+     */
+    createStepExpression(colorProperty, classes) {
+        const value = typeof colorProperty === 'string' ? ['get', colorProperty] : colorProperty;
+        const expr = ['step', ['coalesce', value, 0], classes.colors[0]];
+        classes.breaks.forEach((value, i) => {
+            expr.push(value, classes.colors[i + 1]);
+        });
+        return expr;
+    }
+};
@@ -0,0 +1,367 @@
+// Swipe comparison for EV Modelling Web Visualization
+// A second map is stacked over the main one and clipped at a draggable
+// divider. The main map (left) keeps the panel's region and stage; the
+// compare map (right) has its own, and both share one camera.
+
+class CompareView {
+    constructor(app) {
+        this.app = app;
+        this.map = null;
+        this.registry = null;
+        this.tiles = null;  // TileTracker of the compare map
+        this.region = 'all';
+        this.stage = null;
+        this.domain = null;  // [min, max] shared by the right-hand layers
+        this.activeLayers = [];
+        this.position = 0.5;  // Divider position as a fraction of the map width
+        this.syncing = false;
+        this.ready = false;  // Style loaded, layers can be added
+        this.domainToken = null;
+        this.onMainMove = () => this.syncCamera(this.app.map, this.map);
+    }
+
+    /**
+     * Whether the compare map is currently shown
+     */
+    isOpen() {
+        return this.map !== null;
+    }
+
+    /**
+     * Show the compare map on the left region, with `stage` or else another stage
+     */
+    open(stage = null) {
+        if (this.isOpen()) return;
+
+        this.region = this.app.currentRegion;
+        if (stage) {
+            this.stage = stage;
+        } else if (!this.stage || !MANIFEST.hasStage(this.region, this.stage) || this.stage === this.app.currentStage) {
+            const other = CONFIG.stages.find(s => s.id !== this.app.currentStage && MANIFEST.hasStage(this.region, s.id));
+            this.stage = other ? other.id : this.app.currentStage;
+        }
+
+        const container = document.getElementById('compare-map');
+        container.classList.remove('hidden');
+        document.getElementById('compare-swipe').classList.remove('hidden');
+        document.getElementById('compare-legend-container').classList.remove('hidden');
+        document.getElementById('app').classList.add('comparing');
+
+        const mainMap = this.app.map;
+        this.map = new maplibregl.Map({
+            container,
+            style: CONFIG.basemaps[this.app.currentBasemap].style,
+            center: mainMap.getCenter(),
+            zoom: mainMap.getZoom(),
+            bearing: mainMap.getBearing(),
+            pitch: mainMap.getPitch(),
+            minZoom: CONFIG.map.minZoom,
+            maxZoom: CONFIG.map.maxZoom,
+            maxBounds: CONFIG.map.bounds
+        });
+        this.registry = new LayerRegistry(this.map, CONFIG.basemaps[this.app.currentBasemap].labelLayer);
+        this.tiles = new TileTracker(this.map, this.app.getTileHandlers());
+
+        // The compare map covers the main map's controls on the right-hand side
+        this.map.addControl(new maplibregl.NavigationControl(), 'top-right');
+        this.map.addControl(new maplibregl.ScaleControl(), 'bottom-right');
+
+        mainMap.on('move', this.onMainMove);
+        this.map.on('move', () => this.syncCamera(this.map, this.app.map));
+        this.map.on('click', (e) => this.handleMapClick(e));
+        this.map.on('load', () => {
+            this.ready = true;
+            this.updateLayers();
+        });
+
+        this.setPosition(this.position);
+        this.syncControls();
+        this.updateLegend();
+    }
+
+    /**
+     * Remove the compare map
+     */
+    close() {
+        if (!this.isOpen()) return;
+
+        this.app.map.off('move', this.onMainMove);
+        this.tiles.detach();
+        this.map.remove();
+        this.map = null;
+        this.registry = null;
+        this.tiles = null;
+        this.ready = false;
+        this.activeLayers = [];
+        this.domainToken = null;
+
+        document.getElementById('compare-map').classList.add('hidden');
+        document.getElementById('compare-swipe').classList.add('hidden');
+        document.getElementById('compare-legend-container').classList.add('hidden');
+        document.getElementById('app').classList.remove('comparing');
+        this.syncControls();
+        this.updateLegend();
+    }
+
+    /**
+     * Copy the camera of one map to the other
+     */
+    syncCamera(from, to) {
+        if (this.syncing || !to) return;
+        this.syncing = true;
+        to.jumpTo({
+            center: from.getCenter(),
+            zoom: from.getZoom(),
+            bearing: from.getBearing(),
+            pitch: from.getPitch()
+        });
+        this.syncing = false;
+    }
+
+    /**
+     * Move the divider; the compare map is only visible to its right
+     */
+    setPosition(position) {
+        this.position = Math.min(Math.max(position, 0), 1);
+        const percent = `${(this.position * 100).toFixed(2)}%`;
+        document.getElementById('compare-map').style.clipPath = `inset(0 0 0 ${percent})`;
+        document.getElementById('compare-swipe').style.left = percent;
+    }
+
+    /**
+     * Change the right-hand region, switching stage if it has no data there
+     */
+    setRegion(region) {
+        this.region = region;
+        if (!MANIFEST.hasStage(this.region, this.stage)) {
+            const fallback = CONFIG.stages.find(s => MANIFEST.hasStage(this.region, s.id));
+            if (fallback) this.stage = fallback.id;
+        }
+        this.syncControls();
+        this.updateLayers();
+    }
+
+    /**
+     * Show a stage of the left region on the right, opening the compare map if needed
+     */
+    showStage(stage) {
+        if (!this.isOpen()) {
+            this.open(stage);
+            return;
+        }
+        this.region = this.app.currentRegion;
+        this.stage = stage;
+        this.syncControls();
+        this.updateLayers();
+    }
+
+    /**
+     * Change the right-hand stage
+     */
+    setStage(stage) {
+        this.stage = stage;
+        this.updateLayers();
+    }
+
+    /**
+     * Re-apply the basemap after the main map switched styles
+     * The registry carries the right-hand layers over to the new style.
+     */
+    changeBasemap() {
+        if (!this.isOpen()) return;
+        this.ready = false;
+        const basemapConfig = CONFIG.basemaps[this.app.currentBasemap];
+        this.registry.setStyle(basemapConfig.style, basemapConfig.labelLayer);
+        this.map.once('style.load', () => {
+            this.ready = true;
+        });
+    }
+
+    /**
+     * Replace the right-hand analysis layers
+     */
+    updateLayers() {
+        if (!this.isOpen() || !this.ready) return;
+
+        this.activeLayers.forEach(layerId => {
+            LAYERS.removeLayer(this.registry, layerId.split('-')[0], this.stageOf(layerId));
+        });
+        this.activeLayers = [];
+        this.domainToken = null;
+
+        const regions = (this.region === 'all'
+            ? MANIFEST.getRegions().map(r => r.id)
+            : [this.region]
+        ).filter(region => MANIFEST.hasStage(region, this.stage));
+
+        this.domain = LAYERS.getStageDomain(regions, this.stage);
+        regions.forEach(region => {
+            const layerId = LAYERS.addLayer(this.registry, region, this.stage, this.domain, null, this.app.layerAppearance.analysis);
+            if (layerId) this.activeLayers.push(layerId);
+        });
+
+        // Without tilestats, take the domain from what is rendered (as the main map does)
+        const stageConfig = CONFIG.stages.find(s => s.id === this.stage);
+        if (!this.domain && stageConfig.type === 'polygon' &&
+            Array.isArray(CONFIG.colorScales[stageConfig.colorScale]) && this.activeLayers.length > 0) {
+            const token = {};
+            this.domainToken = token;
+            this.map.once('idle', () => {
+                if (this.domainToken !== token) return;
+                this.domain = LAYERS.getRenderedDomain(this.map, this.activeLayers, stageConfig.colorProperty);
+                const fillColor = LAYERS.createFillColor(stageConfig.colorProperty, PALETTES.getScaleName(stageConfig), this.domain);
+                this.activeLayers.forEach(layerId => {
+                    if (this.map.getLayer(layerId)) this.map.setPaintProperty(layerId, 'fill-color', fillColor);
+                });
+                this.updateLegend();
+            });
+        }
+
+        this.updateLegend();
+    }
+
+    /**
+     * Restyle the right-hand layers after the analysis layer's appearance changed on the main map
+     */
+    applyAppearance() {
+        if (!this.isOpen()) return;
+        const kind = CONFIG.stages.find(s => s.id === this.stage).type;
+        this.activeLayers.forEach(layerId => {
+            LAYERS.setPaint(this.map, LAYERS.getAppearancePaint(kind, layerId, this.app.layerAppearance.analysis));
+        });
+    }
+
+    /**
+     * Recolour the right-hand layers and legend after a palette changed on the main map
+     */
+    applyPalette() {
+        if (!this.isOpen()) return;
+        const stageConfig = CONFIG.stages.find(s => s.id === this.stage);
+        this.activeLayers.filter(layerId => this.map.getLayer(layerId)).forEach(layerId => {
+            if (stageConfig.type === 'line') {
+                this.map.setPaintProperty(layerId, 'line-color', LAYERS.createLineColor(this.stage));
+            } else {
+                this.map.setPaintProperty(layerId, 'fill-color',
+                    LAYERS.createFillColor(stageConfig.colorProperty, PALETTES.getScaleName(stageConfig), this.domain));
+            }
+        });
+        this.updateLegend();
+    }
+
+    /**
+     * Stage id of a `${region}-${stage}` layer id
+     */
+    stageOf(layerId) {
+        return layerId.split('-').slice(1).join('-');
+    }
+
+    /**
+     * Show feature info for the right-hand layers
+     */
+    handleMapClick(e) {
+        const layers = this.activeLayers.filter(id => this.map.getLayer(id));
+        const features = layers.length > 0 ? this.map.queryRenderedFeatures(e.point, { layers }) : [];
+        this.app.clearSelection();
+        if (features.length === 0) {
+            document.getElementById('info-panel').classList.add('hidden');
+            return;
+        }
+        this.app.showFeatureInfo(features[0].properties, this.stage);
+    }
+
+    /**
+     * Fill the compare region/stage selects and reflect the open state
+     */
+    buildControls() {
+        const regionSelect = document.getElementById('compare-region-select');
+        regionSelect.innerHTML = '<option value="all">All Regions</option>';
+        MANIFEST.getRegions().forEach(region => {
+            const option = document.createElement('option');
+            option.value = region.id;
+            option.textContent = region.hasData ? region.name : `${region.name} (no data)`;
+            option.disabled = !region.hasData;
+            regionSelect.appendChild(option);
+        });
+
+        const stageSelect = document.getElementById('compare-stage-select');
+        stageSelect.innerHTML = '';
+        CONFIG.stages.forEach(stage => {
+            const option = document.createElement('option');
+            option.value = stage.id;
+            option.textContent = stage.name;
+            stageSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Sync the compare controls with the current state
+     */
+    syncControls() {
+        document.getElementById('compare-toggle').checked = this.isOpen();
+        document.getElementById('compare-controls').classList.toggle('hidden', !this.isOpen());
+        if (!this.isOpen()) return;
+
+        document.getElementById('compare-region-select').value = this.region;
+        const stageSelect = document.getElementById('compare-stage-select');
+        [...stageSelect.options].forEach(option => {
+            option.disabled = !MANIFEST.hasStage(this.region, option.value);
+        });
+        stageSelect.value = this.stage;
+    }
+
+    /**
+     * Setup the compare toggle, selects and the draggable divider
+     */
+    setupEventListeners() {
+        document.getElementById('compare-toggle').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.open();
+            } else {
+                this.close();
+            }
+        });
+
+        document.getElementById('compare-region-select').addEventListener('change', (e) => {
+            this.setRegion(e.target.value);
+        });
+
+        document.getElementById('compare-stage-select').addEventListener('change', (e) => {
+            this.setStage(e.target.value);
+        });
+
+        const swipe = document.getElementById('compare-swipe');
+        swipe.addEventListener('pointerdown', (e) => {
+            swipe.setPointerCapture(e.pointerId);
+            swipe.classList.add('dragging');
+        });
+        swipe.addEventListener('pointermove', (e) => {
+            if (!swipe.hasPointerCapture(e.pointerId)) return;
+            const rect = document.getElementById('map-wrapper').getBoundingClientRect();
+            this.setPosition((e.clientX - rect.left) / rect.width);
+        });
+        swipe.addEventListener('pointerup', (e) => {
+            swipe.releasePointerCapture(e.pointerId);
+            swipe.classList.remove('dragging');
+        });
+    }
+
+    /**
+     * Update the right-hand legend and the side labels of both legends
+     */
+    updateLegend() {
+        const regionName = (id) => {
+            const region = MANIFEST.getRegions().find(r => r.id === id);
+            return region ? region.name : 'All Regions';
+        };
+
+        document.getElementById('legend-title').textContent = this.isOpen()
+            ? `Left · ${regionName(this.app.currentRegion)}`
+            : 'Legend';
+        if (!this.isOpen()) return;
+
+        document.getElementById('compare-legend-title').textContent = `Right · ${regionName(this.region)}`;
+        document.getElementById('compare-legend').innerHTML = this.activeLayers.length > 0
+            ? LAYERS.generateLegend(this.stage, this.domain)
+            : '<div class="legend-empty">No data for this stage</div>';
+    }
+}
@@ -5,68 +5,22 @@ const CONFIG = {
     // Using commit hash to bust CDN cache
     pmtilesBaseUrl: 'https://cdn.jsdelivr.net/gh/wangzhao0217/zev-up.github.io@2a948f3/pmtiles',
 
-    // Available PMTiles files (region_stage combinations that exist)
-    availableFiles: [
-        'chargers',
-        'car_availability',
-        'ev_distribution',
-        // HITRANS
-        'hitrans_adoption_propensity',
-        'hitrans_charging_network',
-        'hitrans_conversion_potential',
-        'hitrans_ev_assignment_replaceable_only',
-        'hitrans_integrated_conversion_with_ev_types',
-        'hitrans_range_feasibility',
-        'hitrans_trip_purpose',
-        // Nestrans
-        'nestrans_adoption_propensity',
-        'nestrans_charging_network',
-        'nestrans_conversion_potential',
-        'nestrans_ev_assignment_replaceable_only',
-        'nestrans_integrated_conversion_with_ev_types',
-        'nestrans_range_feasibility',
-        'nestrans_trip_purpose',
-        // SESTRAN
-        'sestran_adoption_propensity',
-        'sestran_charging_network',
-        'sestran_conversion_potential',
-        'sestran_ev_assignment_replaceable_only',
-        'sestran_integrated_conversion_with_ev_types',
-        'sestran_range_feasibility',
-        'sestran_trip_purpose',
-        // SPT
-        'spt_adoption_propensity',
-        'spt_charging_network',
-        'spt_conversion_potential',
-        'spt_ev_assignment_replaceable_only',
-        'spt_integrated_conversion_with_ev_types',
-        'spt_range_feasibility',
-        'spt_trip_purpose',
-        // SWESTRANS
-        'swestrans_adoption_propensity',
-        'swestrans_charging_network',
-        'swestrans_conversion_potential',
-        'swestrans_ev_assignment_replaceable_only',
-        'swestrans_integrated_conversion_with_ev_types',
-        'swestrans_range_feasibility',
-        'swestrans_trip_purpose',
-        // Tactran
-        'tactran_adoption_propensity',
-        'tactran_charging_network',
-        'tactran_conversion_potential',
-        'tactran_ev_assignment_replaceable_only',
-        'tactran_integrated_conversion_with_ev_types',
-        'tactran_range_feasibility',
-        'tactran_trip_purpose',
-        // ZetTrans
-        'zettrans_adoption_propensity',
-        'zettrans_charging_network',
-        'zettrans_conversion_potential',
-        'zettrans_ev_assignment_replaceable_only',
-        'zettrans_integrated_conversion_with_ev_types',
-        'zettrans_range_feasibility',
-        'zettrans_trip_purpose'
-    ],
+    // Same-origin copy of the PMTiles, used when the CDN fails (see TILES)
+    pmtilesFallbackUrl: 'pmtiles',
+
+    // Manifest of available PMTiles (regenerate with write_manifest() in
+    // scripts/convert_gpkg_to_pmtiles.R). Served same-origin so it always
+    // matches the deployed site, even when pmtilesBaseUrl points at an older commit.
+    manifestUrl: 'pmtiles/manifest.json',
+
+    // Offline search index of data zones (write_search_index())
+    searchIndexUrl: 'pmtiles/search_index.json',
+
+    // Charger points for the clustered charger layer (write_charger_points())
+    chargersUrl: 'pmtiles/chargers.geojson',
+
+    // Per-region indicators for the dashboard (write_region_summaries())
+    regionSummariesUrl: 'pmtiles/region_summaries.json',
 
     // Overlay layers (Scotland-wide, not region-specific)
     overlayLayers: [
@@ -78,6 +32,7 @@ const CONFIG = {
             colorProperty: 'car_ownership_rate',
             colorScale: 'viridis',
             legendTitle: 'Car Ownership Rate',
+            legendFormat: 'percent',
             sourceLayer: 'car_availability'
         },
         {
@@ -183,6 +138,8 @@ const CONFIG = {
     ],
 
     // Color scales
+    // Continuous scales are stretched to each property's min/max (from the
+    // manifest's tilestats), keeping the relative spacing of their stops.
     colorScales: {
         viridis: [
             [0.0, '#440154'],
@@ -237,20 +194,55 @@ const CONFIG = {
         }
     },
 
-    // Basemap styles
+    // 3×3 bivariate colour matrix: rows from low to high on the vertical
+    // attribute, each row from low to high on the horizontal one
+    bivariateColors: [
+        ['#e8e8e8', '#e4acac', '#c85a5a'],
+        ['#b0d5df', '#ad9ea5', '#985356'],
+        ['#64acbe', '#627f8c', '#574249']
+    ],
+
+    // Size of charger circles, real or hypothetical: the radius in pixels of
+    // a charger with one charging point at each zoom, [zoom, radius], scaled
+    // up by the number of points, [points, factor]
+    pointRadius: [[6, 3], [10, 5], [14, 8]],
+    pointsScale: [[1, 1], [4, 1.5], [12, 2.2], [32, 3]],
+
+    // Font of the app's own map labels (cluster counts, flow arrows). Every
+    // basemap's glyphs must have it; the raster styles borrow CARTO's.
+    labelFont: ['Montserrat Medium'],
+
+    // Initial appearance of each layer in the Layer Style panel: fill (or
+    // circle) opacity, and whether outlines are drawn and in what colour.
+    // 'analysis' applies to whichever stage is shown.
+    layerAppearance: {
+        analysis: { opacity: 0.7, outline: true, outlineColor: '#ffffff' },
+        car_availability: { opacity: 0.7, outline: true, outlineColor: '#ffffff' },
+        ev_distribution: { opacity: 0.7, outline: true, outlineColor: '#ffffff' },
+        chargers: { opacity: 0.9, outline: true, outlineColor: '#ffffff' }
+    },
+
+    // Basemap styles (`attribution` is printed on exported maps). The raster
+    // styles borrow CARTO's glyphs so text layers such as cluster counts render.
+    // `labelLayer` names the lowest label layer of a style whose labels are
+    // not symbol layers, so the data layers go beneath it.
     basemaps: {
         'dark': {
             name: 'Dark',
+            attribution: '© CARTO © OpenStreetMap contributors',
             style: 'https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json'
         },
         'light': {
             name: 'Light',
+            attribution: '© CARTO © OpenStreetMap contributors',
             style: 'https://basemaps.cartocdn.com/gl/positron-gl-style/style.json'
         },
         'osm': {
             name: 'OpenStreetMap',
+            attribution: '© OpenStreetMap contributors',
             style: {
                 version: 8,
+                glyphs: 'https://tiles.basemaps.cartocdn.com/fonts/{fontstack}/{range}.pbf',
                 sources: {
                     'osm': {
                         type: 'raster',
@@ -270,8 +262,10 @@ const CONFIG = {
         },
         'satellite': {
             name: 'Satellite',
+            attribution: '© Esri',
             style: {
                 version: 8,
+                glyphs: 'https://tiles.basemaps.cartocdn.com/fonts/{fontstack}/{range}.pbf',
                 sources: {
                     'satellite': {
                         type: 'raster',
@@ -291,8 +285,11 @@ const CONFIG = {
         },
         'satellite-streets': {
             name: 'Satellite + Roads',
+            attribution: '© Esri © CARTO © OpenStreetMap contributors',
+            labelLayer: 'road-labels',
             style: {
                 version: 8,
+                glyphs: 'https://tiles.basemaps.cartocdn.com/fonts/{fontstack}/{range}.pbf',
                 sources: {
                     'satellite': {
                         type: 'raster',
@@ -0,0 +1,365 @@
+// Charger coverage analysis for EV Modelling Web Visualization
+// Draws distance buffers around chosen chargers and checks which data zones
+// fall inside them, all client-side. A zone counts as covered at a radius
+// when its centroid lies within that distance of a chosen charger.
+
+const COVERAGE = {
+    bufferSourceId: 'coverage-buffers-source',
+    bufferFillLayerId: 'coverage-buffers',
+    bufferLineLayerId: 'coverage-buffers-outline',
+    zoneSourceId: 'coverage-zones-source',
+    zoneLayerId: 'coverage-zones',
+    zoneOutlineLayerId: 'coverage-zones-outline',
+
+    defaultRadii: [500, 1000, 5000],  // metres
+    maxRadius: 50000,
+    maxRadii: 5,
+    propensityProperty: 'final_adoption_propensity',
+    circleSteps: 64,
+
+    // Band colours from the smallest radius outwards, then zones outside every buffer
+    bandColors: ['#1a9850', '#91cf60', '#d9ef8b', '#fee08b', '#fdae61'],
+    uncoveredColor: '#bdbdbd',
+    unservedColor: '#d73027',  // Outline of high-propensity zones outside every buffer
+
+    /**
+     * Parse user-entered radii in metres ("500, 1000 5000"), falling back to the defaults
+     */
+    parseRadii(text) {
+        const radii = (text || '')
+            .split(/[,;\s]+/)
+            .map(Number)
+            .filter(r => Number.isFinite(r) && r > 0 && r <= this.maxRadius)
+            .sort((a, b) => a - b)
+            .filter((r, i, list) => i === 0 || r > list[i - 1])
+            .slice(0, this.maxRadii);
+        return radii.length > 0 ? radii : this.defaultRadii;
+    },
+
+    /**
+     * Format a radius for labels (500 m, 1 km, 2.5 km)
+     */
+    formatRadius(radius) {
+        return radius >= 1000 ? `${radius / 1000} km` : `${radius} m`;
+    },
+
+    /**
+     * Find the zone polygons to analyse for each region
+     * A region's adoption propensity archive is preferred; regions without one
+     * fall back to their charging network polygons, which carry the same
+     * final_adoption_propensity attribute.
+     * Returns [{ region, sourceId, sourceLayer, url, probe }] where
+     * `probe` is true for sources this module adds itself.
+     */
+    getZoneSources(regions, stage) {
+        return regions.map(region => {
+            const archive = MANIFEST.getLayerArchive(region, 'adoption_propensity');
+            if (archive) {
+                return {
+                    region,
+                    sourceId: `coverage-${region}-source`,
+                    sourceLayer: archive.sourceLayer,
+                    url: LAYERS.getArchiveUrl(archive),
+                    probe: true
+                };
+            }
+            if (!MANIFEST.getLayerArchive(region, stage)) return null;
+            return {
+                region,
+                sourceId: `${region}-${stage}-source`,
+                sourceLayer: LAYERS.getSourceLayer(region, stage),
+                probe: false
+            };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Add the zone sources this module owns, each with an invisible layer so
+     * MapLibre loads their tiles in view, and remove those no longer needed
+     */
+    setZoneSources(map, sources) {
+        const probes = sources.filter(source => source.probe);
+        const needed = new Set(probes.map(source => source.sourceId));
+        this.removeZoneSources(map, needed);
+
+        probes.forEach(source => {
+            if (!map.getSource(source.sourceId)) {
+                map.addSource(source.sourceId, { type: 'vector', url: source.url });
+            }
+            const probeId = `${source.sourceId}-probe`;
+            if (!map.getLayer(probeId)) {
+                map.addLayer({
+                    id: probeId,
+                    type: 'fill',
+                    source: source.sourceId,
+                    'source-layer': source.sourceLayer,
+                    paint: { 'fill-opacity': 0 }
+                });
+            }
+        });
+    },
+
+    /**
+     * Remove the zone sources added by setZoneSources, except those in `keep`
+     */
+    removeZoneSources(map, keep = new Set()) {
+        const style = map.getStyle();
+        const isProbeSource = id => /^coverage-.+-source$/.test(id) &&
+            id !== this.bufferSourceId && id !== this.zoneSourceId && !keep.has(id);
+
+        (style.layers || [])
+            .filter(layer => isProbeSource(layer.source))
+            .forEach(layer => map.removeLayer(layer.id));
+        Object.keys(style.sources || {})
+            .filter(isProbeSource)
+            .forEach(id => map.removeSource(id));
+    },
+
+    /**
+     * Collect the zones in the loaded tiles, merging the pieces of zones split across tiles
+     * Returns [{ region, feature, properties, geometries, bbox, centroid }]
+     * (see EXPORT.mergePieces, with which EXPORT.isPieceOf matches a rendered zone).
+     */
+    collectZones(map, sources) {
+        const pieces = sources.flatMap(({ region, sourceId, sourceLayer }) => {
+            if (!map.getSource(sourceId)) return [];
+            return map.querySourceFeatures(sourceId, { sourceLayer })
+                .filter(feature => feature.geometry && /Polygon$/.test(feature.geometry.type))
+                .map(feature => ({ region, feature }));
+        });
+        const regions = new Map(pieces.map(({ region, feature }) => [feature, region]));
+        return EXPORT.mergePieces(pieces.map(({ feature }) => feature), feature => regions.get(feature))
+            .map(({ group, feature, geometries, bbox }) => ({
+                region: group,
+                feature,
+                properties: feature.properties,
+                geometries,
+                bbox,
+                centroid: this.getCentroid(geometries)
+            }));
+    },
+
+    /**
+     * Area-weighted centroid [lng, lat] of a zone's polygon pieces
+     * Falls back to the mean vertex for degenerate (zero-area) pieces.
+     */
+    getCentroid(geometries) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        let vertexSum = [0, 0];
+        let vertexCount = 0;
+
+        geometries.forEach(geometry => {
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            polygons.forEach(rings => rings.forEach((ring, ringIndex) => {
+                // Holes have the opposite winding, so their area subtracts
+                for (let i = 0; i < ring.length - 1; i++) {
+                    const [x0, y0] = ring[i];
+                    const [x1, y1] = ring[i + 1];
+                    const cross = x0 * y1 - x1 * y0;
+                    area += cross;
+                    x += (x0 + x1) * cross;
+                    y += (y0 + y1) * cross;
+                    if (ringIndex === 0) {
+                        vertexSum = [vertexSum[0] + x0, vertexSum[1] + y0];
+                        vertexCount++;
+                    }
+                }
+            }));
+        });
+
+        if (Math.abs(area) < 1e-12) {
+            return vertexCount > 0 ? [vertexSum[0] / vertexCount, vertexSum[1] / vertexCount] : null;
+        }
+        return [x / (3 * area), y / (3 * area)];
+    },
+
+    /**
+     * Great-circle distance in metres between two [lng, lat] points
+     */
+    distance([lng1, lat1], [lng2, lat2]) {
+        const toRad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRad;
+        const dLng = (lng2 - lng1) * toRad;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+        return 2 * 6371008.8 * Math.asin(Math.min(1, Math.sqrt(a)));
+    },
+
+    /**
+     * Classify zones (from collectZones) by distance from their centroid to the nearest charger
+     * Each zone gets `band`, the index of the smallest radius covering it
+     * (-1 if none), and `high`, whether its propensity reaches the threshold.
+     * Returns { zones, rows, total, high } with one row per radius:
+     * { radius, covered, highCovered, unservedHigh }.
+     */
+    analyse(zones, chargers, radii, threshold) {
+        const points = chargers.map(charger => charger.geometry.coordinates);
+        const maxRadius = radii[radii.length - 1];
+
+        const analysed = zones.map(zone => {
+            const centroid = zone.centroid;
+            const propensity = zone.properties[this.propensityProperty];
+            let nearest = Infinity;
+            if (centroid) {
+                // Chargers well outside the largest radius are skipped cheaply by latitude
+                const maxDegrees = maxRadius / 111000 * 1.5;
+                points.forEach(point => {
+                    if (Math.abs(point[1] - centroid[1]) > maxDegrees) return;
+                    nearest = Math.min(nearest, this.distance(centroid, point));
+                });
+            }
+            return {
+                ...zone,
+                nearest,
+                band: radii.findIndex(radius => nearest <= radius),
+                high: typeof propensity === 'number' && propensity >= threshold
+            };
+        });
+
+        const high = analysed.filter(zone => zone.high).length;
+        const rows = radii.map((radius, i) => {
+            const covered = analysed.filter(zone => zone.band !== -1 && zone.band <= i);
+            const highCovered = covered.filter(zone => zone.high).length;
+            return { radius, covered: covered.length, highCovered, unservedHigh: high - highCovered };
+        });
+
+        return { zones: analysed, rows, total: analysed.length, high };
+    },
+
+    /**
+     * Approximate a geodesic circle as a GeoJSON polygon ring
+     */
+    createCircle([lng, lat], radius) {
+        const latRadius = radius / 111320;
+        const lngRadius = latRadius / Math.cos(lat * Math.PI / 180);
+        const ring = [];
+        for (let i = 0; i <= this.circleSteps; i++) {
+            const angle = (i % this.circleSteps) / this.circleSteps * 2 * Math.PI;
+            ring.push([lng + lngRadius * Math.cos(angle), lat + latRadius * Math.sin(angle)]);
+        }
+        return { type: 'Polygon', coordinates: [ring] };
+    },
+
+    /**
+     * Band colour expression for a `band` property (-1 = uncovered)
+     */
+    getBandColor(radii) {
+        const expression = ['match', ['get', 'band']];
+        radii.forEach((_, i) => expression.push(i, this.bandColors[i]));
+        expression.push(this.uncoveredColor);
+        return expression;
+    },
+
+    /**
+     * Draw the buffers (largest first, so smaller ones stay visible) and the classified zones
+     * They go above the analysis layers but below the chargers, so chargers stay clickable.
+     */
+    draw(map, chargers, radii, result) {
+        const buffers = {
+            type: 'FeatureCollection',
+            features: [...radii].reverse().flatMap(radius => chargers.map(charger => ({
+                type: 'Feature',
+                geometry: this.createCircle(charger.geometry.coordinates, radius),
+                properties: { band: radii.indexOf(radius) }
+            })))
+        };
+        const zones = {
+            type: 'FeatureCollection',
+            features: result.zones.flatMap(zone => zone.geometries.map(geometry => ({
+                type: 'Feature',
+                geometry,
+                properties: { band: zone.band, unserved: zone.high && zone.band === -1 }
+            })))
+        };
+
+        if (map.getSource(this.zoneSourceId)) {
+            map.getSource(this.zoneSourceId).setData(zones);
+            map.getSource(this.bufferSourceId).setData(buffers);
+        } else {
+            map.addSource(this.zoneSourceId, { type: 'geojson', data: zones });
+            map.addSource(this.bufferSourceId, { type: 'geojson', data: buffers });
+
+            map.addLayer({
+                id: this.zoneLayerId,
+                type: 'fill',
+                source: this.zoneSourceId,
+                paint: { 'fill-opacity': 0.6 }
+            });
+            map.addLayer({
+                id: this.zoneOutlineLayerId,
+                type: 'line',
+                source: this.zoneSourceId,
+                filter: ['==', ['get', 'unserved'], true],
+                paint: { 'line-color': this.unservedColor, 'line-width': 1.5 }
+            });
+            map.addLayer({
+                id: this.bufferFillLayerId,
+                type: 'fill',
+                source: this.bufferSourceId,
+                paint: { 'fill-opacity': 0.12 }
+            });
+            map.addLayer({
+                id: this.bufferLineLayerId,
+                type: 'line',
+                source: this.bufferSourceId,
+                paint: { 'line-width': 1.5, 'line-dasharray': [2, 2] }
+            });
+        }
+
+        const beforeId = map.getLayer(CHARGERS.clusterLayerId) ? CHARGERS.clusterLayerId : undefined;
+        [this.zoneLayerId, this.zoneOutlineLayerId, this.bufferFillLayerId, this.bufferLineLayerId].forEach(layerId => {
+            map.moveLayer(layerId, beforeId);
+        });
+
+        // Colours depend on how many radii there are
+        const bandColor = this.getBandColor(radii);
+        map.setPaintProperty(this.zoneLayerId, 'fill-color', bandColor);
+        map.setPaintProperty(this.bufferFillLayerId, 'fill-color', bandColor);
+        map.setPaintProperty(this.bufferLineLayerId, 'line-color', bandColor);
+    },
+
+    /**
+     * Remove the buffers, the classified zones and the zone sources
+     */
+    clear(map) {
+        [this.bufferLineLayerId, this.bufferFillLayerId, this.zoneOutlineLayerId, this.zoneLayerId].forEach(layerId => {
+            if (map.getLayer(layerId)) map.removeLayer(layerId);
+        });
+        [this.bufferSourceId, this.zoneSourceId].forEach(sourceId => {
+            if (map.getSource(sourceId)) map.removeSource(sourceId);
+        });
+        this.removeZoneSources(map);
+    },
+
+    /**
+     * Generate the results: a legend of the bands and coverage per radius
+     */
+    generateResults(result, radii, chargerCount) {
+        if (result.total === 0) {
+            return '<div class="panel-note">No zones loaded in view yet</div>';
+        }
+
+        const percent = (count, total) => total > 0 ? `${(count / total * 100).toFixed(0)}%` : '–';
+        const rows = result.rows.map((row, i) => `
+            <tr>
+                <td><span class="coverage-swatch" style="background: ${this.bandColors[i]};"></span>${this.formatRadius(row.radius)}</td>
+                <td>${percent(row.covered, result.total)}</td>
+                <td>${row.unservedHigh.toLocaleString()} (${percent(row.unservedHigh, result.high)})</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="panel-note">${chargerCount.toLocaleString()} charger${chargerCount === 1 ? '' : 's'}, ${result.total.toLocaleString()} zones in view, ${result.high.toLocaleString()} high propensity</div>
+            <table class="coverage-table">
+                <thead><tr><th>Within</th><th>Zones covered</th><th>High propensity unserved</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="coverage-key">
+                <span><span class="coverage-swatch" style="background: ${this.uncoveredColor};"></span>Outside all buffers</span>
+                <span><span class="coverage-swatch outline" style="border-color: ${this.unservedColor};"></span>Unserved high propensity</span>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,148 @@
+// Regional dashboard for EV Modelling Web Visualization
+// Tabulates key indicators per regional transport partnership from
+// pmtiles/region_summaries.json (written by write_region_summaries() in
+// scripts/convert_gpkg_to_pmtiles.R), so no tiles need to be loaded.
+
+const DASHBOARD = {
+    summaries: null,  // Summary rows by region id once loaded
+    loading: null,  // Pending load, shared by concurrent callers
+
+    sortKey: 'name',
+    sortAscending: true,
+
+    // `sortKey` defaults to `key`; the split column sorts by the 2-seater share
+    columns: [
+        { key: 'name', label: 'Partnership' },
+        { key: 'mean_adoption_propensity', label: 'Mean adoption propensity', format: 'number' },
+        { key: 'poor_charging_share', label: 'Zones with poor charging', format: 'percent' },
+        { key: 'seater_split', sortKey: 'two_seater_share', label: '2-seater / 4-seater', format: 'split' },
+        { key: 'mean_integrated_score', label: 'Mean integrated score', format: 'number' }
+    ],
+
+    /**
+     * Fetch the region summaries (once)
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(CONFIG.regionSummariesUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load region summaries (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.summaries = {};
+                    (data.regions || []).forEach(row => {
+                        this.summaries[row.region] = row;
+                    });
+                })
+                .catch(error => {
+                    // Allow a later retry
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * One row per region, with null indicators where there is no summary
+     */
+    getRows() {
+        return MANIFEST.getRegions().map(region => ({
+            mean_adoption_propensity: null,
+            poor_charging_share: null,
+            two_seater_share: null,
+            four_seater_share: null,
+            mean_integrated_score: null,
+            ...(this.summaries && this.summaries[region.id]),
+            region: region.id,
+            name: region.name,
+            hasData: region.hasData
+        }));
+    },
+
+    /**
+     * Sort rows by the current column; missing values always sort last
+     */
+    sortRows(rows) {
+        const column = this.columns.find(c => c.key === this.sortKey);
+        const key = column.sortKey || column.key;
+        const direction = this.sortAscending ? 1 : -1;
+
+        return [...rows].sort((a, b) => {
+            const x = a[key];
+            const y = b[key];
+            if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+            if (y === null || y === undefined) return -1;
+            return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+        });
+    },
+
+    /**
+     * Sort by a column, toggling the direction when it is already sorted by it
+     * Indicators start with the highest value first.
+     */
+    setSort(key) {
+        if (this.sortKey === key) {
+            this.sortAscending = !this.sortAscending;
+        } else {
+            this.sortKey = key;
+            this.sortAscending = key === 'name';
+        }
+    },
+
+    /**
+     * Format a cell of a row for a column
+     */
+    formatCell(row, column) {
+        const missing = '<span class="dashboard-missing">–</span>';
+        switch (column.format) {
+            case 'number':
+                return row[column.key] === null ? missing : row[column.key].toFixed(3);
+            case 'percent':
+                return row[column.key] === null ? missing : `${(row[column.key] * 100).toFixed(1)}%`;
+            case 'split': {
+                if (row.two_seater_share === null || row.four_seater_share === null) return missing;
+                const two = row.two_seater_share * 100;
+                const four = row.four_seater_share * 100;
+                return `
+                    <div class="dashboard-split" title="2-seater ${two.toFixed(1)}%, 4-seater ${four.toFixed(1)}%, mixed ${(100 - two - four).toFixed(1)}%">
+                        <span class="two-seater" style="width: ${two.toFixed(1)}%;"></span>
+                        <span class="four-seater" style="width: ${four.toFixed(1)}%;"></span>
+                    </div>
+                    <span class="dashboard-split-label">${two.toFixed(0)}% / ${four.toFixed(0)}%</span>
+                `;
+            }
+            default:
+                return row[column.key];
+        }
+    },
+
+    /**
+     * Generate the table HTML, marking the sorted column and current region
+     * Rows of regions without tiles cannot be selected (as in the region select).
+     */
+    generateTable(currentRegion) {
+        const headers = this.columns.map(column => {
+            const sorted = column.key === this.sortKey;
+            const ariaSort = sorted ? (this.sortAscending ? 'ascending' : 'descending') : 'none';
+            const arrow = sorted ? (this.sortAscending ? ' ▲' : ' ▼') : '';
+            return `<th data-key="${column.key}" aria-sort="${ariaSort}" tabindex="0">${column.label}${arrow}</th>`;
+        }).join('');
+
+        const rows = this.sortRows(this.getRows()).map(row => {
+            const attributes = row.hasData
+                ? `data-region="${row.region}" tabindex="0"${row.region === currentRegion ? ' class="current"' : ''}`
+                : 'class="no-data" title="No data for this region"';
+            return `
+                <tr ${attributes}>
+                    ${this.columns.map(column => `<td>${this.formatCell(row, column)}</td>`).join('')}
+                </tr>
+            `;
+        }).join('');
+
+        return `<thead><tr>${headers}</tr></thead><tbody>${rows}</tbody>`;
+    }
+};
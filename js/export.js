@@ -0,0 +1,214 @@
+// Feature export for EV Modelling Web Visualization
+// Downloads the analysis features rendered in the current view (so the
+// viewport and any attribute filters apply) as CSV or GeoJSON.
+
+const EXPORT = {
+    formats: {
+        csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+        geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+        png: { extension: 'png', mimeType: 'image/png' },
+        pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+    },
+
+    /**
+     * Collect the rendered features of some layers, merged across tiles (see
+     * mergePieces) into one Multi* geometry each
+     * Each feature gets the region it came from.
+     */
+    collectFeatures(map, layerIds) {
+        const layers = layerIds.filter(id => map.getLayer(id));
+        if (layers.length === 0) return [];
+
+        const pieces = map.queryRenderedFeatures({ layers });
+        return this.mergePieces(pieces, feature => feature.layer.id.split('-')[0])
+            .map(({ group, feature, geometries }) => ({
+                type: 'Feature',
+                geometry: this.combineGeometries(geometries),
+                properties: { region: group, ...feature.properties }
+            }));
+    },
+
+    /**
+     * Merge the pieces of features that cross tile boundaries, which MapLibre
+     * returns once per tile
+     * Pieces are matched by feature id. Archives built without ids fall back to
+     * merging pieces with equal properties whose bounding boxes touch or
+     * overlap, as the pieces of a polygon or line clipped at a tile boundary
+     * meet there. Parts of a multi-part feature (e.g. islands) that are read
+     * from different tiles and lie apart are counted separately, and features
+     * that share all their attribute values and touch are counted once.
+     * `getGroup` keeps features of different sources (e.g. regions) apart.
+     * Returns [{ group, feature, geometries, bbox }], `feature` being the first piece.
+     */
+    mergePieces(features, getGroup = () => '') {
+        const merged = [];
+        const byId = new Map();  // Group and id -> merged feature
+        const byProperties = new Map();  // Group and property values -> merged features without an id
+
+        features.forEach(feature => {
+            const group = getGroup(feature);
+            const piece = { geometry: feature.geometry, bbox: this.getBounds(feature.geometry) };
+
+            if (feature.id !== undefined && feature.id !== null) {
+                const key = `${group} ${feature.id}`;
+                if (byId.has(key)) {
+                    this.addPiece(byId.get(key), piece);
+                } else {
+                    const entry = { group, feature, geometries: [], bbox: piece.bbox };
+                    this.addPiece(entry, piece);
+                    byId.set(key, entry);
+                    merged.push(entry);
+                }
+                return;
+            }
+
+            // A piece may join features that only met through it
+            const key = `${group} ${JSON.stringify(feature.properties)}`;
+            const entries = byProperties.get(key) || [];
+            const meeting = entries.filter(entry => this.boundsMeet(entry.bbox, piece.bbox));
+            const entry = meeting[0] || { group, feature, geometries: [], bbox: piece.bbox };
+            this.addPiece(entry, piece);
+            meeting.slice(1).forEach(other => {
+                other.geometries.forEach(geometry => this.addPiece(entry, { geometry, bbox: other.bbox }));
+                merged.splice(merged.indexOf(other), 1);
+            });
+            if (meeting.length === 0) merged.push(entry);
+            byProperties.set(key, [...entries.filter(other => !meeting.includes(other)), entry]);
+        });
+
+        return merged;
+    },
+
+    /**
+     * Whether a feature is a piece of a merged feature from mergePieces
+     */
+    isPieceOf(feature, entry) {
+        if (feature.id !== undefined && feature.id !== null) {
+            return feature.id === entry.feature.id;
+        }
+        return JSON.stringify(feature.properties) === JSON.stringify(entry.feature.properties) &&
+            this.boundsMeet(entry.bbox, this.getBounds(feature.geometry));
+    },
+
+    /**
+     * Add a piece's geometry and bounding box to a merged feature
+     */
+    addPiece(entry, { geometry, bbox }) {
+        entry.geometries.push(geometry);
+        entry.bbox = [
+            Math.min(entry.bbox[0], bbox[0]), Math.min(entry.bbox[1], bbox[1]),
+            Math.max(entry.bbox[2], bbox[2]), Math.max(entry.bbox[3], bbox[3])
+        ];
+    },
+
+    /**
+     * Bounding box [west, south, east, north] of a GeoJSON geometry
+     */
+    getBounds(geometry) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                bbox[0] = Math.min(bbox[0], coords[0]);
+                bbox[1] = Math.min(bbox[1], coords[1]);
+                bbox[2] = Math.max(bbox[2], coords[0]);
+                bbox[3] = Math.max(bbox[3], coords[1]);
+            } else {
+                coords.forEach(visit);
+            }
+        };
+        visit(geometry.coordinates);
+        return bbox;
+    },
+
+    /**
+     * Whether two bounding boxes overlap or touch
+     */
+    boundsMeet(a, b) {
+        return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+    },
+
+    /**
+     * Combine the per-tile pieces of one feature into a single geometry
+     */
+    combineGeometries(geometries) {
+        if (geometries.length === 1) return geometries[0];
+
+        const type = geometries[0].type.replace(/^Multi/, '');
+        const parts = [];
+        geometries.forEach(geometry => {
+            if (geometry.type.startsWith('Multi')) {
+                parts.push(...geometry.coordinates);
+            } else {
+                parts.push(geometry.coordinates);
+            }
+        });
+        return { type: `Multi${type}`, coordinates: parts };
+    },
+
+    /**
+     * Apply a display formatter (value formatting as in the info panel)
+     */
+    formatFeatures(features, formatValue) {
+        return features.map(feature => ({
+            ...feature,
+            properties: Object.fromEntries(Object.entries(feature.properties).map(([key, value]) => [
+                key,
+                value === null || value === undefined ? value : formatValue(key, value)
+            ]))
+        }));
+    },
+
+    /**
+     * Serialize features as CSV (attributes only, columns in first-seen order)
+     */
+    toCsv(features) {
+        const columns = [];
+        features.forEach(feature => {
+            Object.keys(feature.properties).forEach(key => {
+                if (!columns.includes(key)) columns.push(key);
+            });
+        });
+
+        const escape = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = features.map(feature => columns.map(key => escape(feature.properties[key])).join(','));
+        return [columns.map(escape).join(','), ...rows].join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Serialize features as a GeoJSON FeatureCollection
+     */
+    toGeoJson(features) {
+        return JSON.stringify({ type: 'FeatureCollection', features });
+    },
+
+    /**
+     * Build the download file name, e.g. zettrans_adoption_propensity_2025-01-31.csv
+     */
+    getFileName(region, stage, format, date = new Date()) {
+        const day = [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+        ].join('-');
+        return `${region}_${stage}_${day}.${this.formats[format].extension}`;
+    },
+
+    /**
+     * Save text or a Blob as a file through a temporary link
+     */
+    download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+};
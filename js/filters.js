@@ -0,0 +1,166 @@
+// Attribute filters for EV Modelling Web Visualization
+// Builds MapLibre filter expressions from range and category filters on the
+// attributes listed in the PMTiles manifest.
+
+const FILTERS = {
+    /**
+     * Merge the attribute schemas of several archives
+     * Returns [{ name, type, min, max }] for numbers and [{ name, type, values }]
+     * for strings/booleans with a short list of distinct values. Attributes whose
+     * type differs between archives are left out.
+     */
+    getAttributes(archives) {
+        const merged = {};
+        const conflicting = new Set();
+
+        archives.forEach(archive => {
+            Object.entries(archive.attributes || {}).forEach(([name, attr]) => {
+                const existing = merged[name];
+                if (!existing) {
+                    merged[name] = { name, ...attr, values: attr.values ? [...attr.values] : undefined };
+                } else if (existing.type !== attr.type) {
+                    conflicting.add(name);
+                } else if (attr.type === 'number') {
+                    existing.min = Math.min(existing.min, attr.min);
+                    existing.max = Math.max(existing.max, attr.max);
+                } else if (existing.values && attr.values) {
+                    attr.values.forEach(v => {
+                        if (!existing.values.includes(v)) existing.values.push(v);
+                    });
+                } else {
+                    existing.values = undefined;
+                }
+            });
+        });
+
+        return Object.values(merged)
+            .filter(attr => !conflicting.has(attr.name))
+            .filter(attr => attr.type === 'number' ? Number.isFinite(attr.min) && attr.min < attr.max : attr.values && attr.values.length > 1)
+            .map(attr => attr.type === 'number' ? attr : { ...attr, values: [...attr.values].sort() })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Check whether a filter can be applied to an attribute
+     */
+    isApplicable(filter, attr) {
+        if (!attr) return false;
+        return filter.type === 'range' ? attr.type === 'number' : attr.type !== 'number';
+    },
+
+    /**
+     * Create the default (pass-everything) filter for an attribute
+     */
+    createFilter(attr) {
+        return attr.type === 'number'
+            ? { type: 'range', min: attr.min, max: attr.max }
+            : { type: 'values', values: [...attr.values] };
+    },
+
+    /**
+     * Build a MapLibre filter expression from the applicable filters
+     * Returns null when nothing restricts the layer.
+     */
+    buildExpression(filters, attributes) {
+        const conditions = [];
+
+        Object.entries(filters).forEach(([name, filter]) => {
+            const attr = attributes.find(a => a.name === name);
+            if (!this.isApplicable(filter, attr)) return;
+
+            if (filter.type === 'range') {
+                if (filter.min > attr.min) conditions.push(['>=', ['get', name], filter.min]);
+                if (filter.max < attr.max) conditions.push(['<=', ['get', name], filter.max]);
+            } else if (filter.values.length < attr.values.length) {
+                conditions.push(['in', ['get', name], ['literal', filter.values]]);
+            }
+        });
+
+        return conditions.length > 0 ? ['all', ...conditions] : null;
+    },
+
+    /**
+     * Count distinct rendered features in layers
+     * Pieces of a feature split across tiles are counted once, matched as
+     * the statistics and exports match them (EXPORT.mergePieces).
+     */
+    countRendered(map, layerIds) {
+        const layers = layerIds.filter(id => map.getLayer(id));
+        if (layers.length === 0) return 0;
+
+        return EXPORT.mergePieces(map.queryRenderedFeatures({ layers }), feature => feature.layer.id.split('-')[0]).length;
+    },
+
+    /**
+     * Value of a range filter's slider, taken as the attribute's own bound at
+     * either end of the track
+     * A fractional step can stop the thumb just inside the bound, which would
+     * drop the lowest or highest features from a full range.
+     */
+    getSliderValue(input, attr) {
+        const value = parseFloat(input.value);
+        const step = parseFloat(input.step);
+        if (value >= attr.max - step / 2) return attr.max;
+        if (value <= attr.min + step / 2) return attr.min;
+        return value;
+    },
+
+    /**
+     * Generate the HTML for the active filter cards
+     */
+    generateFilterList(filters, attributes) {
+        return Object.entries(filters).map(([name, filter]) => {
+            const attr = attributes.find(a => a.name === name);
+            const label = name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+            if (!this.isApplicable(filter, attr)) {
+                return `
+                    <div class="filter-card inactive" data-attribute="${name}">
+                        <div class="filter-header">
+                            <span>${label}</span>
+                            <button class="filter-remove" title="Remove filter">&times;</button>
+                        </div>
+                        <div class="filter-note">Not available for this stage</div>
+                    </div>
+                `;
+            }
+
+            let controls;
+            if (filter.type === 'range') {
+                const step = (attr.max - attr.min) / 100;
+                const domain = [attr.min, attr.max];
+                const min = Math.max(filter.min, attr.min);
+                const max = Math.min(filter.max, attr.max);
+                controls = `
+                    <div class="slider-row">
+                        <label>Min</label>
+                        <input type="range" data-bound="min" min="${attr.min}" max="${attr.max}" step="${step}" value="${min}">
+                        <span>${LAYERS.formatLegendValue(min, domain)}</span>
+                    </div>
+                    <div class="slider-row">
+                        <label>Max</label>
+                        <input type="range" data-bound="max" min="${attr.min}" max="${attr.max}" step="${step}" value="${max}">
+                        <span>${LAYERS.formatLegendValue(max, domain)}</span>
+                    </div>
+                `;
+            } else {
+                controls = attr.values.map(value => `
+                    <label class="filter-option">
+                        <input type="checkbox" data-value="${String(value)}" ${filter.values.includes(value) ? 'checked' : ''}>
+                        <span>${String(value).replace(/_/g, ' ')}</span>
+                    </label>
+                `).join('');
+            }
+
+            return `
+                <div class="filter-card" data-attribute="${name}">
+                    <div class="filter-header">
+                        <span>${label}</span>
+                        <button class="filter-remove" title="Remove filter">&times;</button>
+                    </div>
+                    ${controls}
+                </div>
+            `;
+        }).join('');
+    }
+};
@@ -0,0 +1,271 @@
+// Origin–destination flow explorer for EV Modelling Web Visualization
+// On the line stages (trip_purpose, range_feasibility), focuses the map on
+// the flows starting or ending in one data zone. Each line is a sampled trip,
+// so the volume of an origin–destination pair is the number of its trips in
+// the loaded tiles. Needs origin_code/destination_code in the line archives
+// (kept by convert_line_layer() in scripts/convert_gpkg_to_pmtiles.R).
+
+const FLOWS = {
+    originProperty: 'origin_code',
+    destinationProperty: 'destination_code',
+    maxDestinations: 10,
+    minWidth: 1.5,
+    maxWidth: 10,
+    arrowSpacing: 120,  // Pixels between direction arrows
+
+    /**
+     * Whether an archive carries the origin and destination codes
+     */
+    hasCodes(archive) {
+        const attributes = (archive && archive.attributes) || {};
+        return Boolean(attributes[this.originProperty] && attributes[this.destinationProperty]);
+    },
+
+    /**
+     * A polygon archive of the region whose zones carry geo_code, for picking zones
+     */
+    getZoneArchive(region) {
+        return CONFIG.stages
+            .filter(stage => stage.type === 'polygon')
+            .map(stage => MANIFEST.getLayerArchive(region, stage.id))
+            .find(archive => archive && archive.attributes && archive.attributes.geo_code) || null;
+    },
+
+    /**
+     * Zone layer id of a region
+     */
+    getZoneLayerId(region) {
+        return `flows-zones-${region}`;
+    },
+
+    /**
+     * Add faint, clickable zone polygons of a region beneath the flows
+     * Returns the layer id, or null when the region has no zones with geo_code.
+     */
+    addZoneLayer(map, region, beforeId) {
+        const archive = this.getZoneArchive(region);
+        if (!archive) return null;
+
+        const layerId = this.getZoneLayerId(region);
+        const sourceId = `${layerId}-source`;
+        if (!map.getSource(sourceId)) {
+            map.addSource(sourceId, { type: 'vector', url: LAYERS.getArchiveUrl(archive) });
+        }
+        if (!map.getLayer(layerId)) {
+            map.addLayer({
+                id: layerId,
+                type: 'fill',
+                source: sourceId,
+                'source-layer': archive.sourceLayer,
+                paint: { 'fill-color': LAYERS.highlightColor, 'fill-opacity': 0.02 }
+            }, beforeId);
+            map.addLayer({
+                id: `${layerId}-outline`,
+                type: 'line',
+                source: sourceId,
+                'source-layer': archive.sourceLayer,
+                paint: { 'line-color': '#8a8aaa', 'line-width': 0.5, 'line-opacity': 0.5 }
+            }, beforeId);
+        }
+        return layerId;
+    },
+
+    /**
+     * Outline the focused zone (null clears it)
+     */
+    setFocusedZone(map, region, code) {
+        const layerId = `${this.getZoneLayerId(region)}-outline`;
+        if (!map.getLayer(layerId)) return;
+        const focused = ['==', ['to-string', ['get', 'geo_code']], code === null ? '' : code];
+        map.setPaintProperty(layerId, 'line-color', ['case', focused, LAYERS.highlightColor, '#8a8aaa']);
+        map.setPaintProperty(layerId, 'line-width', ['case', focused, 3, 0.5]);
+        map.setPaintProperty(layerId, 'line-opacity', ['case', focused, 1, 0.5]);
+    },
+
+    /**
+     * Remove the zone layers, except those of the regions in `keep`
+     */
+    removeZoneLayers(map, keep = []) {
+        const kept = keep.map(region => this.getZoneLayerId(region));
+        const isStale = id => id.startsWith('flows-zones-') && !kept.some(layerId => id.startsWith(`${layerId}-`) || id === layerId);
+        const style = map.getStyle();
+        (style.layers || [])
+            .filter(layer => isStale(layer.id))
+            .forEach(layer => map.removeLayer(layer.id));
+        Object.keys(style.sources || {})
+            .filter(isStale)
+            .forEach(id => map.removeSource(id));
+    },
+
+    /**
+     * Filter expression for flows starting or ending in a zone
+     */
+    getFocusFilter(code) {
+        return ['any',
+            ['==', ['to-string', ['get', this.originProperty]], code],
+            ['==', ['to-string', ['get', this.destinationProperty]], code]
+        ];
+    },
+
+    /**
+     * Whether a flow is beyond an EV range (see RANGE.classifyTrip)
+     * Trips without a modelled category (trip purpose lines) are classified by their distance.
+     */
+    isInfeasible(props, rangeKm) {
+        if (props[RANGE.categoryProperty] === undefined && typeof props[RANGE.distanceProperty] === 'number') {
+            return RANGE.classify(props[RANGE.distanceProperty], rangeKm) === 'infeasible';
+        }
+        return RANGE.classifyTrip(props, rangeKm) === 'infeasible';
+    },
+
+    /**
+     * Collect the flows in the loaded tiles of some line sources that match a filter
+     * `sources` is a list of { sourceId, sourceLayer }. A line split across
+     * tiles is counted once (see EXPORT.mergePieces).
+     */
+    collectFlows(map, sources, filter, rangeKm) {
+        const pieces = sources.flatMap(({ sourceId, sourceLayer }) => {
+            if (!map.getSource(sourceId)) return [];
+            return map.querySourceFeatures(sourceId, { sourceLayer, filter }).map(feature => ({ sourceId, feature }));
+        });
+        const sourceIds = new Map(pieces.map(({ sourceId, feature }) => [feature, sourceId]));
+        return EXPORT.mergePieces(pieces.map(({ feature }) => feature), feature => sourceIds.get(feature))
+            .map(({ feature }) => {
+                const props = feature.properties;
+                return {
+                    origin: String(props[this.originProperty]),
+                    destination: String(props[this.destinationProperty]),
+                    purpose: props.purpose || null,
+                    infeasible: this.isInfeasible(props, rangeKm)
+                };
+            });
+    },
+
+    /**
+     * Trips per origin–destination pair, keyed "origin|destination"
+     */
+    countPairs(flows) {
+        const counts = new Map();
+        flows.forEach(flow => {
+            const key = `${flow.origin}|${flow.destination}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    },
+
+    /**
+     * Line width scaled by the pair's trip count (area-proportional, so by square root)
+     */
+    getWidthExpression(pairs) {
+        if (pairs.size === 0) return this.minWidth;
+        const max = Math.max(...pairs.values());
+        const match = ['match', ['concat', ['to-string', ['get', this.originProperty]], '|',
+            ['to-string', ['get', this.destinationProperty]]]];
+        pairs.forEach((count, key) => {
+            match.push(key, this.minWidth + (this.maxWidth - this.minWidth) * Math.sqrt(count / max));
+        });
+        match.push(this.minWidth);
+        return match;
+    },
+
+    /**
+     * The stage's usual line width, to restore when leaving the flow mode
+     */
+    getDefaultWidth(region, stage) {
+        return LAYERS.createLineStyle(null, null, region, stage).paint['line-width'];
+    },
+
+    /**
+     * Add direction arrows along a flow layer (lines run from origin to destination)
+     * The layer's filter is applied afterwards, with the flow layer's. The
+     * arrows belong to the flow layer's registry entry, so they go with it.
+     */
+    addArrowLayer(registry, layerId, region, stage) {
+        registry.addLayer(layerId, {
+            id: `${layerId}-arrows`,
+            type: 'symbol',
+            source: `${layerId}-source`,
+            'source-layer': LAYERS.getSourceLayer(region, stage),
+            layout: {
+                'symbol-placement': 'line',
+                'symbol-spacing': this.arrowSpacing,
+                'text-field': '>',
+                'text-font': CONFIG.labelFont,
+                'text-size': 14,
+                'text-keep-upright': false,
+                'text-rotation-alignment': 'map',
+                'text-allow-overlap': true
+            },
+            paint: {
+                'text-color': '#1a1a2e',
+                'text-halo-color': '#ffffff',
+                'text-halo-width': 1
+            }
+        });
+    },
+
+    /**
+     * Remove the direction arrows of a flow layer
+     */
+    removeArrowLayer(registry, layerId) {
+        registry.removeLayer(layerId, `${layerId}-arrows`);
+    },
+
+    /**
+     * Summarise a zone's flows: totals, and its top destinations for a purpose (null = all)
+     * Returns { outgoing, incoming, infeasibleShare, purposes, destinations } where
+     * destinations are [{ code, trips, infeasibleShare }], most trips first.
+     */
+    summarize(flows, code, purpose) {
+        const outgoing = flows.filter(flow => flow.origin === code);
+        const incoming = flows.filter(flow => flow.destination === code);
+        const share = list => list.length > 0 ? list.filter(flow => flow.infeasible).length / list.length : null;
+
+        const byDestination = new Map();
+        outgoing
+            .filter(flow => purpose === null || flow.purpose === purpose)
+            .forEach(flow => {
+                if (!byDestination.has(flow.destination)) byDestination.set(flow.destination, []);
+                byDestination.get(flow.destination).push(flow);
+            });
+
+        return {
+            outgoing: outgoing.length,
+            incoming: incoming.length,
+            infeasibleShare: share([...new Set([...outgoing, ...incoming])]),
+            purposes: [...new Set(outgoing.map(flow => flow.purpose).filter(Boolean))].sort(),
+            destinations: [...byDestination.entries()]
+                .map(([destination, list]) => ({ code: destination, trips: list.length, infeasibleShare: share(list) }))
+                .sort((a, b) => b.trips - a.trips || a.code.localeCompare(b.code))
+                .slice(0, this.maxDestinations)
+        };
+    },
+
+    /**
+     * Generate the side list for a focused zone
+     */
+    generateSummary(code, summary, rangeKm) {
+        const percent = value => value === null ? '–' : `${(value * 100).toFixed(0)}%`;
+        const rows = summary.destinations.map(destination => `
+            <tr data-code="${SEARCH.escapeHtml(destination.code)}" tabindex="0">
+                <td>${SEARCH.escapeHtml(destination.code)}</td>
+                <td>${destination.trips.toLocaleString()}</td>
+                <td>${percent(destination.infeasibleShare)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="stats-heading">
+                <span>${SEARCH.escapeHtml(code)}</span>
+                <span>${summary.outgoing.toLocaleString()} out · ${summary.incoming.toLocaleString()} in</span>
+            </div>
+            <div class="panel-note">${percent(summary.infeasibleShare)} of these trips are infeasible within a ${rangeKm} km range</div>
+            ${rows ? `
+                <table class="coverage-table flows-table">
+                    <thead><tr><th>Top destinations</th><th>Trips</th><th>Infeasible</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<div class="panel-note">No outgoing trips for this purpose</div>'}
+        `;
+    }
+};
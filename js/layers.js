@@ -1,55 +1,273 @@
 // Layer definitions and styling for MapLibre GL JS
 
 const LAYERS = {
+    // Outline colour of hovered/selected features and search results
+    highlightColor: '#f59e0b',
+
+    // Copies of hovered/selected features without a feature id, drawn on top (see setHighlight)
+    highlightSourceId: 'feature-highlight-source',
+    highlightLayerId: 'feature-highlight',
+
+    /**
+     * Generate PMTiles source URL for an archive listed in the manifest
+     * Read from the CDN, or from the same-origin copy once it has failed over.
+     */
+    getArchiveUrl(archive) {
+        return `pmtiles://${TILES.getBaseUrl()}/${archive.file}`;
+    },
+
     /**
      * Generate PMTiles source URL
      */
     getSourceUrl(region, stage) {
-        return `pmtiles://${CONFIG.pmtilesBaseUrl}/${region}_${stage}.pmtiles`;
+        const archive = MANIFEST.getLayerArchive(region, stage);
+        return archive
+            ? this.getArchiveUrl(archive)
+            : `pmtiles://${TILES.getBaseUrl()}/${region}_${stage}.pmtiles`;
     },
 
     /**
      * Generate PMTiles source URL for overlay layers
      */
     getOverlaySourceUrl(layerId) {
-        return `pmtiles://${CONFIG.pmtilesBaseUrl}/${layerId}.pmtiles`;
+        const archive = MANIFEST.get(layerId);
+        return archive
+            ? this.getArchiveUrl(archive)
+            : `pmtiles://${TILES.getBaseUrl()}/${layerId}.pmtiles`;
+    },
+
+    /**
+     * Expression that is true while a feature has a feature-state flag set
+     */
+    featureState(name) {
+        return ['boolean', ['feature-state', name], false];
+    },
+
+    /**
+     * Circle radius of charger points by zoom (see CONFIG.pointRadius), growing
+     * with their number_of_points, and a little larger while hovered or selected
+     */
+    createPointRadius() {
+        const highlighted = ['any', this.featureState('selected'), this.featureState('hover')];
+        const sized = radius => ['+',
+            ['interpolate', ['linear'], ['coalesce', ['get', 'number_of_points'], 1],
+                ...CONFIG.pointsScale.flatMap(([points, factor]) => [points, radius * factor])
+            ],
+            ['case', highlighted, 2, 0]
+        ];
+        return ['interpolate', ['linear'], ['zoom'],
+            ...CONFIG.pointRadius.flatMap(([zoom, radius]) => [zoom, sized(radius)])
+        ];
+    },
+
+    /**
+     * Outline hovered and selected features that feature-state cannot reach
+     * (archives without feature ids) from copies of their rendered pieces
+     * `targets` has `hover` and `selected`, each { geometries } or null.
+     */
+    setHighlight(map, targets) {
+        const features = ['hover', 'selected']
+            .filter(state => targets[state])
+            .flatMap(state => targets[state].geometries.map(geometry => ({ type: 'Feature', geometry, properties: { state } })));
+        const data = { type: 'FeatureCollection', features };
+
+        const source = map.getSource(this.highlightSourceId);
+        if (source) {
+            source.setData(data);
+            return;
+        }
+        if (features.length === 0) return;
+
+        map.addSource(this.highlightSourceId, { type: 'geojson', data });
+        map.addLayer({
+            id: this.highlightLayerId,
+            type: 'line',
+            source: this.highlightSourceId,
+            paint: {
+                'line-color': this.highlightColor,
+                'line-width': ['match', ['get', 'state'], 'selected', 3, 2],
+                'line-opacity': ['match', ['get', 'state'], 'selected', 1, 0.6]
+            }
+        });
     },
 
     /**
      * Get source layer name (matches the layer name in PMTiles)
-     * Layer name was set to {region}_{stage} during tippecanoe conversion
+     * Taken from the manifest; tippecanoe conversion names it {region}_{stage}
      */
     getSourceLayer(region, stage) {
-        return `${region}_${stage}`;
+        const archive = MANIFEST.getLayerArchive(region, stage);
+        return archive ? archive.sourceLayer : `${region}_${stage}`;
     },
 
     /**
-     * Create polygon fill layer style
+     * Combine the tilestats min/max of a property across manifest archives
+     * Returns [min, max] or null when no archive has numeric stats for it.
+     */
+    getAttributeDomain(archives, property) {
+        const ranges = archives
+            .map(a => a.attributes && a.attributes[property])
+            .filter(attr => attr && typeof attr.min === 'number' && typeof attr.max === 'number');
+        if (ranges.length === 0) return null;
+
+        return this.normalizeDomain([
+            Math.min(...ranges.map(r => r.min)),
+            Math.max(...ranges.map(r => r.max))
+        ]);
+    },
+
+    /**
+     * Get the domain of a stage's colour property over the given regions
      */
-    createPolygonFillStyle(sourceId, layerId, region, stage) {
+    getStageDomain(regions, stage) {
         const stageConfig = CONFIG.stages.find(s => s.id === stage);
-        const colorProperty = stageConfig.colorProperty;
-        const colorScale = CONFIG.colorScales[stageConfig.colorScale];
+        const archives = regions
+            .map(region => MANIFEST.getLayerArchive(region, stage))
+            .filter(Boolean);
+        return this.getAttributeDomain(archives, stageConfig.colorProperty);
+    },
+
+    /**
+     * Get the domain of an overlay's colour property
+     */
+    getOverlayDomain(overlayId) {
+        const overlayConfig = CONFIG.overlayLayers.find(o => o.id === overlayId);
+        const archive = MANIFEST.get(overlayId);
+        if (!overlayConfig || !archive) return null;
+        return this.getAttributeDomain([archive], overlayConfig.colorProperty);
+    },
+
+    /**
+     * Get the domain of a property from the features currently rendered in layers
+     * Fallback for archives without tilestats.
+     */
+    getRenderedDomain(map, layerIds, property) {
+        const layers = layerIds.filter(id => map.getLayer(id));
+        if (layers.length === 0) return null;
+
+        const values = map.queryRenderedFeatures({ layers })
+            .map(f => f.properties[property])
+            .filter(v => typeof v === 'number' && Number.isFinite(v));
+        if (values.length === 0) return null;
+
+        return this.normalizeDomain([
+            values.reduce((a, b) => Math.min(a, b)),
+            values.reduce((a, b) => Math.max(a, b))
+        ]);
+    },
+
+    /**
+     * Widen a zero-width domain so interpolation stops stay strictly ascending
+     */
+    normalizeDomain([min, max]) {
+        if (max > min) return [min, max];
+        return [min, min + (Math.abs(min) || 1) * 1e-6];
+    },
+
+    /**
+     * Get [value, color] stops for a continuous scale, stretched to a domain
+     * The scale's own stop positions are kept relative to each other, so
+     * uneven ramps such as bev_count keep their shape, and diverging palettes
+     * are centred on their midpoint (see PALETTES). Without a domain the
+     * configured stops are used as-is.
+     */
+    getColorStops(scaleName, domain) {
+        const colorScale = PALETTES.getScale(scaleName);
+        if (!Array.isArray(colorScale)) return null;
+        if (!domain) return colorScale.map(([value, color]) => [value, color]);
+
+        const diverging = PALETTES.getDivergingStops(scaleName, domain);
+        if (diverging) return diverging;
+
+        const first = colorScale[0][0];
+        const last = colorScale[colorScale.length - 1][0];
+        const [min, max] = domain;
+        return colorScale.map(([value, color]) => [
+            min + (value - first) / (last - first) * (max - min),
+            color
+        ]);
+    },
+
+    /**
+     * Build the fill colour expression for a property and colour scale
+     * `colorProperty` may also be an expression computing the value to colour by.
+     * `classes` (from CLASSIFY.classify) switches continuous scales to a step expression.
+     */
+    createFillColor(colorProperty, scaleName, domain, classes) {
+        const colorScale = PALETTES.getScale(scaleName);
+        const value = typeof colorProperty === 'string' ? ['get', colorProperty] : colorProperty;
+
+        if (Array.isArray(colorScale) && classes) {
+            return CLASSIFY.createStepExpression(colorProperty, classes);
+        }
 
-        let fillColor;
         if (Array.isArray(colorScale)) {
-            // Continuous scale (viridis, plasma)
-            fillColor = [
+            // Continuous scale (viridis, plasma), stretched to the data domain
+            return [
                 'interpolate',
                 ['linear'],
-                ['coalesce', ['get', colorProperty], 0],
-                ...colorScale.flat()
+                ['coalesce', value, 0],
+                ...this.getColorStops(scaleName, domain).flat()
             ];
-        } else {
-            // Categorical scale
-            const matchExpr = ['match', ['get', colorProperty]];
-            Object.entries(colorScale).forEach(([key, color]) => {
-                matchExpr.push(key, color);
-            });
-            matchExpr.push('#95a5a6'); // default
-            fillColor = matchExpr;
         }
 
+        // Categorical scale
+        const matchExpr = ['match', value];
+        Object.entries(colorScale).forEach(([key, color]) => {
+            matchExpr.push(key, color);
+        });
+        matchExpr.push('#95a5a6'); // default
+        return matchExpr;
+    },
+
+    /**
+     * Paint properties that follow a layer's appearance (see CONFIG.layerAppearance), by style layer id
+     * `kind` is 'polygon' or 'line' for a stage, or 'overlay'. Hovered and
+     * selected features keep their highlight with the outline switched off.
+     */
+    getAppearancePaint(kind, layerId, { opacity, outline, outlineColor }) {
+        const selected = this.featureState('selected');
+        const hover = this.featureState('hover');
+        const highlighted = ['any', selected, hover];
+        const raised = step => Math.min(1, Math.round((opacity + step) * 100) / 100);
+
+        if (kind === 'line') {
+            // A little more opaque than fills, so thin lines stay visible
+            return { [layerId]: { 'line-opacity': ['case', highlighted, 1, raised(0.1)] } };
+        }
+        if (kind === 'overlay') {
+            return {
+                [layerId]: { 'fill-opacity': opacity },
+                [`${layerId}-outline`]: { 'line-color': outlineColor, 'line-opacity': outline ? 0.3 : 0 }
+            };
+        }
+        return {
+            [layerId]: { 'fill-opacity': ['case', selected, raised(0.2), hover, raised(0.15), opacity] },
+            [`${layerId}-outline`]: {
+                'line-color': ['case', selected, this.highlightColor, outlineColor],
+                'line-opacity': ['case', highlighted, 1, outline ? 0.5 : 0]
+            }
+        };
+    },
+
+    /**
+     * Set paint properties by style layer id, skipping layers not on the map
+     */
+    setPaint(map, paintByLayer) {
+        Object.entries(paintByLayer)
+            .filter(([layerId]) => map.getLayer(layerId))
+            .forEach(([layerId, paint]) => {
+                Object.entries(paint).forEach(([property, value]) => map.setPaintProperty(layerId, property, value));
+            });
+    },
+
+    /**
+     * Create polygon fill layer style
+     */
+    createPolygonFillStyle(sourceId, layerId, region, stage, domain, classes, appearance = CONFIG.layerAppearance.analysis) {
+        const stageConfig = CONFIG.stages.find(s => s.id === stage);
+        const fillColor = this.createFillColor(stageConfig.colorProperty, PALETTES.getScaleName(stageConfig), domain, classes);
+
         return {
             id: layerId,
             type: 'fill',
@@ -57,7 +275,7 @@ const LAYERS = {
             'source-layer': this.getSourceLayer(region, stage),
             paint: {
                 'fill-color': fillColor,
-                'fill-opacity': 0.7
+                ...this.getAppearancePaint('polygon', layerId, appearance)[layerId]
             }
         };
     },
@@ -65,28 +283,8 @@ const LAYERS = {
     /**
      * Create polygon fill layer style for overlay layers
      */
-    createOverlayFillStyle(sourceId, layerId, overlayConfig) {
-        const colorProperty = overlayConfig.colorProperty;
-        const colorScale = CONFIG.colorScales[overlayConfig.colorScale];
-
-        let fillColor;
-        if (Array.isArray(colorScale)) {
-            // Continuous scale (viridis, plasma)
-            fillColor = [
-                'interpolate',
-                ['linear'],
-                ['coalesce', ['get', colorProperty], 0],
-                ...colorScale.flat()
-            ];
-        } else {
-            // Categorical scale
-            const matchExpr = ['match', ['get', colorProperty]];
-            Object.entries(colorScale).forEach(([key, color]) => {
-                matchExpr.push(key, color);
-            });
-            matchExpr.push('#95a5a6'); // default
-            fillColor = matchExpr;
-        }
+    createOverlayFillStyle(sourceId, layerId, overlayConfig, domain, appearance = CONFIG.layerAppearance[overlayConfig.id]) {
+        const fillColor = this.createFillColor(overlayConfig.colorProperty, PALETTES.getScaleName(overlayConfig), domain);
 
         return {
             id: layerId,
@@ -95,7 +293,7 @@ const LAYERS = {
             'source-layer': overlayConfig.sourceLayer,
             paint: {
                 'fill-color': fillColor,
-                'fill-opacity': 0.7
+                ...this.getAppearancePaint('overlay', layerId, appearance)[layerId]
             }
         };
     },
@@ -103,16 +301,15 @@ const LAYERS = {
     /**
      * Create polygon outline layer style for overlay layers
      */
-    createOverlayOutlineStyle(sourceId, layerId, overlayConfig) {
+    createOverlayOutlineStyle(sourceId, layerId, overlayConfig, appearance = CONFIG.layerAppearance[overlayConfig.id]) {
         return {
             id: layerId + '-outline',
             type: 'line',
             source: sourceId,
             'source-layer': overlayConfig.sourceLayer,
             paint: {
-                'line-color': '#ffffff',
                 'line-width': 0.5,
-                'line-opacity': 0.3
+                ...this.getAppearancePaint('overlay', layerId, appearance)[`${layerId}-outline`]
             }
         };
     },
@@ -120,32 +317,36 @@ const LAYERS = {
     /**
      * Create polygon outline layer style
      */
-    createPolygonOutlineStyle(sourceId, layerId, region, stage) {
+    createPolygonOutlineStyle(sourceId, layerId, region, stage, appearance = CONFIG.layerAppearance.analysis) {
         return {
             id: layerId + '-outline',
             type: 'line',
             source: sourceId,
             'source-layer': this.getSourceLayer(region, stage),
             paint: {
-                'line-color': '#ffffff',
-                'line-width': 0.5,
-                'line-opacity': 0.5
+                'line-width': ['case',
+                    this.featureState('selected'), 3,
+                    this.featureState('hover'), 2,
+                    0.5
+                ],
+                ...this.getAppearancePaint('polygon', layerId, appearance)[`${layerId}-outline`]
             }
         };
     },
 
     /**
-     * Create line layer style
+     * Line colour of a stage, with the selection highlight
+     * `valueExpression` replaces the stage's colour property as the category
+     * to colour by (e.g. a category reclassified on the client).
      */
-    createLineStyle(sourceId, layerId, region, stage) {
+    createLineColor(stage, valueExpression = null) {
         const stageConfig = CONFIG.stages.find(s => s.id === stage);
-        const colorProperty = stageConfig.colorProperty;
-        const colorScale = CONFIG.colorScales[stageConfig.colorScale];
+        const colorScale = PALETTES.getScale(PALETTES.getScaleName(stageConfig));
 
         let lineColor;
         if (typeof colorScale === 'object' && !Array.isArray(colorScale)) {
             // Categorical scale
-            const matchExpr = ['match', ['get', colorProperty]];
+            const matchExpr = ['match', valueExpression || ['get', stageConfig.colorProperty]];
             Object.entries(colorScale).forEach(([key, color]) => {
                 matchExpr.push(key, color);
             });
@@ -155,213 +356,312 @@ const LAYERS = {
             lineColor = '#3498db'; // fallback
         }
 
+        return ['case', this.featureState('selected'), this.highlightColor, lineColor];
+    },
+
+    /**
+     * Create line layer style
+     */
+    createLineStyle(sourceId, layerId, region, stage, appearance = CONFIG.layerAppearance.analysis) {
         return {
             id: layerId,
             type: 'line',
             source: sourceId,
             'source-layer': this.getSourceLayer(region, stage),
             paint: {
-                'line-color': lineColor,
+                'line-color': this.createLineColor(stage),
                 'line-width': [
                     'interpolate',
                     ['linear'],
                     ['zoom'],
-                    8, 1,
-                    14, 3
+                    8, ['case', this.featureState('selected'), 3, this.featureState('hover'), 2.5, 1],
+                    14, ['case', this.featureState('selected'), 6, this.featureState('hover'), 5, 3]
                 ],
-                'line-opacity': 0.8
+                ...this.getAppearancePaint('line', layerId, appearance)[layerId]
             }
         };
     },
 
     /**
-     * Add a layer to the map
+     * Add a layer to the map through its layer registry (see LayerRegistry)
+     * `domain` stretches continuous colour scales; all regions shown together
+     * should share one domain so they match the single legend. `classes`
+     * replaces the continuous ramp with classified colours. A layer already
+     * on the map, hidden or not, is shown as it is.
+     * Returns null when the manifest has no archive for the region/stage.
      */
-    addLayer(map, region, stage) {
+    addLayer(registry, region, stage, domain, classes, appearance = CONFIG.layerAppearance.analysis) {
         const sourceId = `${region}-${stage}-source`;
         const layerId = `${region}-${stage}`;
         const stageConfig = CONFIG.stages.find(s => s.id === stage);
 
-        // Add PMTiles source if not exists
-        if (!map.getSource(sourceId)) {
-            map.addSource(sourceId, {
-                type: 'vector',
-                url: this.getSourceUrl(region, stage)
-            });
+        if (!stageConfig || !MANIFEST.getLayerArchive(region, stage)) {
+            return null;
+        }
+        if (registry.has(layerId)) {
+            registry.setVisible(layerId, true);
+            return layerId;
         }
 
         // Add layer based on type
-        if (stageConfig.type === 'polygon') {
-            if (!map.getLayer(layerId)) {
-                map.addLayer(this.createPolygonFillStyle(sourceId, layerId, region, stage));
-                map.addLayer(this.createPolygonOutlineStyle(sourceId, layerId, region, stage));
-            }
-        } else if (stageConfig.type === 'line') {
-            if (!map.getLayer(layerId)) {
-                map.addLayer(this.createLineStyle(sourceId, layerId, region, stage));
-            }
-        }
+        const layers = stageConfig.type === 'polygon'
+            ? [
+                this.createPolygonFillStyle(sourceId, layerId, region, stage, domain, classes, appearance),
+                this.createPolygonOutlineStyle(sourceId, layerId, region, stage, appearance)
+            ]
+            : [this.createLineStyle(sourceId, layerId, region, stage, appearance)];
+
+        registry.add(layerId, {
+            group: 'analysis',
+            sources: {
+                [sourceId]: { type: 'vector', url: this.getSourceUrl(region, stage) }
+            },
+            layers
+        });
 
         return layerId;
     },
 
     /**
-     * Remove a layer from the map
+     * Remove a layer, with its source and any layers added to it, from the map
      */
-    removeLayer(map, region, stage) {
-        const sourceId = `${region}-${stage}-source`;
-        const layerId = `${region}-${stage}`;
+    removeLayer(registry, region, stage) {
+        registry.remove(`${region}-${stage}`);
+    },
 
-        // Remove layers
-        if (map.getLayer(layerId)) {
-            map.removeLayer(layerId);
-        }
-        if (map.getLayer(layerId + '-outline')) {
-            map.removeLayer(layerId + '-outline');
+    /**
+     * Format a legend tick value with precision suited to the domain width
+     */
+    formatLegendValue(value, domain, format) {
+        if (format === 'percent') {
+            return `${Math.round(value * 100)}%`;
         }
+        const span = domain[1] - domain[0];
+        const decimals = span >= 100 ? 0 : span >= 10 ? 1 : span >= 1 ? 2 : 3;
+        return value.toLocaleString(undefined, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        });
+    },
 
-        // Remove source
-        if (map.getSource(sourceId)) {
-            map.removeSource(sourceId);
-        }
+    /**
+     * Compute the tick labels of a gradient legend as { left (%), label }
+     * Ticks that would overlap their neighbour are skipped; the end ticks always show.
+     */
+    getGradientTicks(stops, format) {
+        const domain = [stops[0][0], stops[stops.length - 1][0]];
+        const position = value => (value - domain[0]) / (domain[1] - domain[0]) * 100;
+
+        const minGap = 18;
+        const ticks = [];
+        stops.forEach(([value], i) => {
+            const tick = { left: position(value), label: this.formatLegendValue(value, domain, format) };
+            const previous = ticks[ticks.length - 1];
+            if (!previous) {
+                ticks.push(tick);
+            } else if (i === stops.length - 1) {
+                if (tick.left - previous.left < minGap && ticks.length > 1) ticks.pop();
+                ticks.push(tick);
+            } else if (tick.left - previous.left >= minGap && 100 - tick.left >= minGap) {
+                ticks.push(tick);
+            }
+        });
+
+        return ticks.filter((tick, i) => i === 0 || tick.label !== ticks[i - 1].label);
     },
 
     /**
-     * Generate legend HTML for a stage
+     * Generate gradient legend HTML with a tick label at each interpolation stop
+     */
+    generateGradientLegend(stops, format) {
+        const domain = [stops[0][0], stops[stops.length - 1][0]];
+        const position = value => (value - domain[0]) / (domain[1] - domain[0]) * 100;
+
+        const gradient = stops
+            .map(([value, color]) => `${color} ${position(value).toFixed(1)}%`)
+            .join(', ');
+
+        const labels = this.getGradientTicks(stops, format)
+            .map(tick => `<span style="left: ${tick.left.toFixed(1)}%;">${tick.label}</span>`)
+            .join('');
+
+        return `
+            <div class="legend-gradient" style="background: linear-gradient(to right, ${gradient});"></div>
+            <div class="legend-labels ticks">${labels}</div>
+        `;
+    },
+
+    /**
+     * Generate a 2-D legend for a bivariate colour matrix
+     * The vertical attribute increases upwards, the horizontal one to the right;
+     * the tertile breaks of each are listed underneath.
      */
-    generateLegend(stage) {
+    generateMatrixLegend({ colors, x, y }) {
+        const cells = [...colors].reverse()
+            .map(row => row.map(color => `<div style="background: ${color};"></div>`).join(''))
+            .join('');
+        const breaks = axis => axis.breaks.length > 0
+            ? axis.breaks.map(value => this.formatLegendValue(value, axis.domain)).join(', ')
+            : '–';
+
+        return `
+            <div class="legend-matrix">
+                <div class="legend-matrix-y">${y.label} →</div>
+                <div class="legend-matrix-grid">${cells}</div>
+                <div class="legend-matrix-x">${x.label} →</div>
+            </div>
+            <div class="legend-labels legend-matrix-breaks">
+                <span>→ ${breaks(x)}</span>
+                <span>↑ ${breaks(y)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * List the value range of each class as legend items
+     */
+    getClassItems(classes, format) {
+        const domain = [classes.min, classes.max];
+        const bounds = [classes.min, ...classes.breaks, classes.max];
+
+        return classes.colors.map((color, i) => ({
+            color,
+            label: `${this.formatLegendValue(bounds[i], domain, format)} – ${this.formatLegendValue(bounds[i + 1], domain, format)}`
+        }));
+    },
+
+    /**
+     * List the categories of a categorical colour scale as legend items
+     */
+    getCategoryItems(colorScale) {
+        return Object.entries(colorScale).map(([label, color]) => ({
+            color,
+            label: label.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())
+        }));
+    },
+
+    /**
+     * Describe the legend of a stage as { title, stops, format } for a gradient
+     * or { title, items: [{ color, label }] } for classes and categories.
+     * Used for both the on-screen legend and printed maps.
+     * `domain` and `classes` must be the same ones used to style the layer.
+     */
+    getLegendSpec(stage, domain, classes) {
         const stageConfig = CONFIG.stages.find(s => s.id === stage);
-        const colorScale = CONFIG.colorScales[stageConfig.colorScale];
+        const scaleName = PALETTES.getScaleName(stageConfig);
+        const colorScale = PALETTES.getScale(scaleName);
+        const title = stageConfig.legendTitle;
 
-        let html = `<div class="legend-title">${stageConfig.legendTitle}</div>`;
+        if (Array.isArray(colorScale) && classes) {
+            // Class ranges for classified choropleths
+            return { title, items: this.getClassItems(classes, stageConfig.legendFormat) };
+        }
+        if (Array.isArray(colorScale)) {
+            // Gradient for continuous scales
+            return { title, stops: this.getColorStops(scaleName, domain), format: stageConfig.legendFormat };
+        }
+        return { title, items: this.getCategoryItems(colorScale) };
+    },
+
+    /**
+     * Describe the legend of an overlay layer (see getLegendSpec)
+     */
+    getOverlayLegendSpec(overlayId, domain) {
+        const overlayConfig = CONFIG.overlayLayers.find(o => o.id === overlayId);
+        if (!overlayConfig) return null;
+
+        const scaleName = PALETTES.getScaleName(overlayConfig);
+        const colorScale = PALETTES.getScale(scaleName);
+        const title = overlayConfig.legendTitle;
 
         if (Array.isArray(colorScale)) {
-            // Gradient legend for continuous scales
-            const colors = colorScale.map(([_, color]) => color).join(', ');
-            html += `
-                <div class="legend-gradient" style="background: linear-gradient(to right, ${colors});"></div>
-                <div class="legend-labels">
-                    <span>0</span>
-                    <span>0.5</span>
-                    <span>1</span>
-                </div>
-            `;
+            return { title, stops: this.getColorStops(scaleName, domain), format: overlayConfig.legendFormat };
+        }
+        return { title, items: this.getCategoryItems(colorScale) };
+    },
+
+    /**
+     * Generate legend HTML from a legend description
+     */
+    renderLegend(spec) {
+        let html = `<div class="legend-title">${spec.title}</div>`;
+
+        if (spec.stops) {
+            html += this.generateGradientLegend(spec.stops, spec.format);
+        } else if (spec.matrix) {
+            html += this.generateMatrixLegend(spec.matrix);
         } else {
-            // Categorical legend
-            Object.entries(colorScale).forEach(([label, color]) => {
-                const displayLabel = label.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+            spec.items.forEach(item => {
                 html += `
                     <div class="legend-item">
-                        <div class="legend-color" style="background: ${color};"></div>
-                        <span>${displayLabel}</span>
+                        <div class="legend-color" style="background: ${item.color};"></div>
+                        <span>${item.label}</span>
                     </div>
                 `;
             });
         }
+        if (spec.note) {
+            html += `<div class="legend-note">${spec.note}</div>`;
+        }
 
         return html;
     },
 
     /**
-     * Add an overlay layer to the map
+     * Generate legend HTML for a stage
+     * `domain` and `classes` must be the same ones used to style the layer.
+     */
+    generateLegend(stage, domain, classes) {
+        return this.renderLegend(this.getLegendSpec(stage, domain, classes));
+    },
+
+    /**
+     * Add an overlay layer to the map through its layer registry
+     * An overlay already on the map, hidden or not, is shown as it is.
      */
-    addOverlayLayer(map, overlayId) {
+    addOverlayLayer(registry, overlayId, domain, appearance = CONFIG.layerAppearance[overlayId]) {
         const overlayConfig = CONFIG.overlayLayers.find(o => o.id === overlayId);
-        if (!overlayConfig) return null;
+        if (!overlayConfig || !MANIFEST.get(overlayId)) return null;
 
         const sourceId = `${overlayId}-source`;
         const layerId = overlayId;
-
-        // Add PMTiles source if not exists
-        if (!map.getSource(sourceId)) {
-            map.addSource(sourceId, {
-                type: 'vector',
-                url: this.getOverlaySourceUrl(overlayId)
-            });
+        if (registry.has(layerId)) {
+            registry.setVisible(layerId, true);
+            return layerId;
         }
 
         // Add layer based on type
-        if (overlayConfig.type === 'polygon') {
-            if (!map.getLayer(layerId)) {
-                map.addLayer(this.createOverlayFillStyle(sourceId, layerId, overlayConfig));
-                map.addLayer(this.createOverlayOutlineStyle(sourceId, layerId, overlayConfig));
-            }
-        }
+        const layers = overlayConfig.type === 'polygon'
+            ? [
+                this.createOverlayFillStyle(sourceId, layerId, overlayConfig, domain, appearance),
+                this.createOverlayOutlineStyle(sourceId, layerId, overlayConfig, appearance)
+            ]
+            : [];
+
+        registry.add(layerId, {
+            group: 'overlay',
+            sources: {
+                [sourceId]: { type: 'vector', url: this.getOverlaySourceUrl(overlayId) }
+            },
+            layers
+        });
 
         return layerId;
     },
 
     /**
-     * Remove an overlay layer from the map
+     * Remove an overlay layer and its source from the map
      */
-    removeOverlayLayer(map, overlayId) {
-        const sourceId = `${overlayId}-source`;
-        const layerId = overlayId;
-
-        // Remove layers
-        if (map.getLayer(layerId)) {
-            map.removeLayer(layerId);
-        }
-        if (map.getLayer(layerId + '-outline')) {
-            map.removeLayer(layerId + '-outline');
-        }
-
-        // Remove source
-        if (map.getSource(sourceId)) {
-            map.removeSource(sourceId);
-        }
+    removeOverlayLayer(registry, overlayId) {
+        registry.remove(overlayId);
     },
 
     /**
      * Generate legend HTML for an overlay layer
+     * `domain` must be the same one used to style the layer.
      */
-    generateOverlayLegend(overlayId) {
-        const overlayConfig = CONFIG.overlayLayers.find(o => o.id === overlayId);
-        if (!overlayConfig) return '';
-
-        const colorScale = CONFIG.colorScales[overlayConfig.colorScale];
-
-        let html = `<div class="legend-title">${overlayConfig.legendTitle}</div>`;
-
-        if (Array.isArray(colorScale)) {
-            // Gradient legend for continuous scales
-            const colors = colorScale.map(([_, color]) => color).join(', ');
-            // Adjust labels based on the data type
-            let minLabel = '0';
-            let midLabel = '0.5';
-            let maxLabel = '1';
-
-            if (overlayId === 'ev_distribution') {
-                minLabel = '0';
-                midLabel = '3000';
-                maxLabel = '7000+';
-            } else if (overlayId === 'car_availability') {
-                minLabel = '0%';
-                midLabel = '50%';
-                maxLabel = '100%';
-            }
-
-            html += `
-                <div class="legend-gradient" style="background: linear-gradient(to right, ${colors});"></div>
-                <div class="legend-labels">
-                    <span>${minLabel}</span>
-                    <span>${midLabel}</span>
-                    <span>${maxLabel}</span>
-                </div>
-            `;
-        } else {
-            // Categorical legend
-            Object.entries(colorScale).forEach(([label, color]) => {
-                const displayLabel = label.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-                html += `
-                    <div class="legend-item">
-                        <div class="legend-color" style="background: ${color};"></div>
-                        <span>${displayLabel}</span>
-                    </div>
-                `;
-            });
-        }
-
-        return html;
+    generateOverlayLegend(overlayId, domain) {
+        const spec = this.getOverlayLegendSpec(overlayId, domain);
+        return spec ? this.renderLegend(spec) : '';
     }
 };
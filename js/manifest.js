@@ -0,0 +1,106 @@
+// PMTiles manifest for EV Modelling Web Visualization
+// Lists the archives that actually exist (written by write_manifest() in
+// scripts/convert_gpkg_to_pmtiles.R), so regions and stages are discovered
+// instead of being maintained by hand.
+
+const MANIFEST = {
+    archives: [],
+
+    /**
+     * Fetch and index the manifest
+     */
+    async load() {
+        const response = await fetch(CONFIG.manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load PMTiles manifest (HTTP ${response.status})`);
+        }
+        const data = await response.json();
+        this.archives = data.archives || [];
+    },
+
+    /**
+     * Get an archive entry by id (file name without .pmtiles)
+     * Without an archive of that id, falls back to its latest period (see getPeriodArchives).
+     */
+    get(id) {
+        return this.archives.find(a => a.id === id) || this.getPeriodArchives(id).pop() || null;
+    },
+
+    /**
+     * Get the archive for a region/stage combination
+     * A single-period archive is preferred, else the latest period's.
+     */
+    getLayerArchive(region, stage) {
+        return this.archives.find(a => a.region === region && a.stage === stage && !a.period) ||
+            this.getPeriodArchives(`${region}_${stage}`).pop() ||
+            null;
+    },
+
+    /**
+     * Get the per-period archives of a layer, earliest first
+     * `baseId` is the id without the period, e.g. zettrans_adoption_propensity
+     * for zettrans_adoption_propensity_2030.
+     */
+    getPeriodArchives(baseId) {
+        return this.archives
+            .filter(a => a.period && a.id === `${baseId}_${a.period}`)
+            .sort((a, b) => a.period.localeCompare(b.period));
+    },
+
+    /**
+     * Whether an archive lists an attribute in its schema
+     */
+    hasAttribute(archive, name) {
+        return Boolean(archive && archive.attributes && archive.attributes[name]);
+    },
+
+    /**
+     * Check whether a stage has data for a region ('all' = any region)
+     */
+    hasStage(region, stage) {
+        if (region === 'all') {
+            return this.archives.some(a => a.stage === stage);
+        }
+        return this.getLayerArchive(region, stage) !== null;
+    },
+
+    /**
+     * Get all regions: configured regions first (they carry names and camera
+     * positions), then any extra regions found in the manifest.
+     * Each entry has `hasData` so the UI can grey out empty regions.
+     */
+    getRegions() {
+        const regions = CONFIG.regions.map(r => ({
+            ...r,
+            bounds: this.getRegionBounds(r.id),
+            hasData: this.archives.some(a => a.region === r.id)
+        }));
+
+        this.archives.forEach(archive => {
+            if (!archive.region || regions.some(r => r.id === archive.region)) return;
+            regions.push({
+                id: archive.region,
+                name: archive.regionName || archive.region.toUpperCase(),
+                bounds: this.getRegionBounds(archive.region),
+                hasData: true
+            });
+        });
+
+        return regions;
+    },
+
+    /**
+     * Get the combined bounds [west, south, east, north] of a region's archives
+     */
+    getRegionBounds(region) {
+        const archives = this.archives.filter(a => a.region === region && a.bounds);
+        if (archives.length === 0) return null;
+
+        return archives.reduce((bounds, a) => [
+            Math.min(bounds[0], a.bounds[0]),
+            Math.min(bounds[1], a.bounds[1]),
+            Math.max(bounds[2], a.bounds[2]),
+            Math.max(bounds[3], a.bounds[3])
+        ], [Infinity, Infinity, -Infinity, -Infinity]);
+    }
+};
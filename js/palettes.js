@@ -0,0 +1,195 @@
+// Colour palettes for EV Modelling Web Visualization
+// Each stage and overlay can swap its configured colour scale for another
+// palette, and reverse it. Continuous layers choose from sequential palettes,
+// or from diverging ones centred on a midpoint; the categorical scales listed
+// in `categorical` get colour-blind-safe sets. A layer with a choice is drawn
+// with a derived scale named `palette:<layer id>`, which LAYERS and CLASSIFY
+// look up through getScale like a configured one, so legends follow it.
+
+const PALETTES = {
+    prefix: 'palette:',
+    choices: {},  // Layer id (stage or overlay) -> { palette, reverse, midpoint }
+
+    // Continuous palettes, low to high
+    sequential: {
+        viridis: {
+            name: 'Viridis',
+            colors: ['#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c', '#28ae80', '#5ec962', '#addc30', '#fde725']
+        },
+        cividis: {
+            name: 'Cividis',
+            colors: ['#002051', '#11366c', '#3c4d6e', '#62646f', '#7f7c75', '#9a9478', '#bbaf71', '#e2cb5c', '#fdea45']
+        },
+        magma: {
+            name: 'Magma',
+            colors: ['#000004', '#1d1147', '#51127c', '#832681', '#b73779', '#e75263', '#fc8961', '#fec488', '#fcfdbf']
+        },
+        plasma: {
+            name: 'Plasma',
+            colors: ['#0d0887', '#4c02a1', '#7e03a8', '#aa2395', '#cc4778', '#e66c5c', '#f89540', '#fdc527', '#f0f921']
+        },
+        blues: {
+            name: 'Blues (ColorBrewer)',
+            colors: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+        },
+        ylgnbu: {
+            name: 'YlGnBu (ColorBrewer)',
+            colors: ['#ffffd9', '#edf8b1', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#253494', '#081d58']
+        }
+    },
+
+    // Two-sided palettes with an odd number of colours, the middle one at the midpoint
+    diverging: {
+        rdbu: {
+            name: 'RdBu (ColorBrewer)',
+            colors: ['#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac']
+        },
+        puor: {
+            name: 'PuOr (ColorBrewer)',
+            colors: ['#542788', '#8073ac', '#b2abd2', '#d8daeb', '#f7f7f7', '#fee0b6', '#fdb863', '#e08214', '#b35806']
+        },
+        brbg: {
+            name: 'BrBG (ColorBrewer)',
+            colors: ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e']
+        }
+    },
+
+    // Colour-blind-safe sets per categorical scale, in the order of its categories
+    categorical: {
+        feasibility: {
+            okabe_ito: { name: 'Okabe–Ito', colors: ['#009e73', '#e69f00', '#d55e00'] },
+            tol_bright: { name: 'Tol Bright', colors: ['#4477aa', '#ccbb44', '#ee6677'] }
+        },
+        ev_type: {
+            okabe_ito: { name: 'Okabe–Ito', colors: ['#0072b2', '#e69f00', '#009e73'] },
+            tol_bright: { name: 'Tol Bright', colors: ['#4477aa', '#ee6677', '#228833'] }
+        },
+        categorical: {
+            tol_rainbow: {
+                name: 'Tol Rainbow',
+                colors: ['#d1bbd7', '#ae76a3', '#882e72', '#1965b0', '#5289c7', '#7bafde',
+                    '#4eb265', '#90c987', '#cae0ab', '#f7f056', '#f1932d', '#dc050c']
+            }
+        }
+    },
+
+    // Colour vision deficiencies the map can be previewed with (SVG filters in index.html)
+    cvdModes: [
+        { id: '', name: 'Normal colour vision' },
+        { id: 'protanopia', name: 'Protanopia preview' },
+        { id: 'deuteranopia', name: 'Deuteranopia preview' },
+        { id: 'tritanopia', name: 'Tritanopia preview' }
+    ],
+
+    /**
+     * Stage or overlay config of a layer id
+     */
+    getLayerConfig(layerId) {
+        return CONFIG.stages.find(s => s.id === layerId) || CONFIG.overlayLayers.find(o => o.id === layerId) || null;
+    },
+
+    /**
+     * Palettes a layer can use, as [{ id, name, group }], '' being its configured scale
+     * Empty for a categorical scale without colour-blind-safe sets.
+     */
+    getOptions(config) {
+        const groups = Array.isArray(CONFIG.colorScales[config.colorScale])
+            ? [['Sequential', this.sequential], ['Diverging', this.diverging]]
+            : [['Colour-blind safe', this.categorical[config.colorScale] || {}]];
+        const options = groups.flatMap(([group, palettes]) =>
+            Object.entries(palettes).map(([id, palette]) => ({ id, name: palette.name, group })));
+        return options.length > 0 ? [{ id: '', name: 'Default', group: null }, ...options] : [];
+    },
+
+    /**
+     * A layer's palette choice
+     * `midpoint` is null to centre a diverging palette on the data domain.
+     */
+    getChoice(layerId) {
+        return this.choices[layerId] || { palette: '', reverse: false, midpoint: null };
+    },
+
+    /**
+     * Change a layer's palette choice
+     */
+    setChoice(layerId, changes) {
+        this.choices[layerId] = { ...this.getChoice(layerId), ...changes };
+    },
+
+    /**
+     * Name of the scale a stage or overlay is drawn with: its configured one,
+     * or its derived one once it has a palette other than the default or is reversed
+     */
+    getScaleName(config) {
+        const choice = this.choices[config.id];
+        return choice && (choice.palette || choice.reverse) ? this.prefix + config.id : config.colorScale;
+    },
+
+    /**
+     * Colour scale by name, configured (CONFIG.colorScales) or derived (see getScaleName)
+     */
+    getScale(scaleName) {
+        if (!scaleName.startsWith(this.prefix)) return CONFIG.colorScales[scaleName];
+
+        const config = this.getLayerConfig(scaleName.slice(this.prefix.length));
+        return this.buildScale(config.colorScale, this.getChoice(config.id));
+    },
+
+    /**
+     * Derive a scale from a configured one and a palette choice
+     * A sequential palette is spread along the configured stops, so uneven
+     * ramps such as bev_count keep their shape; a diverging one is spread
+     * evenly over [0, 1] and centred on the midpoint by getDivergingStops.
+     * Categories take the colours of a set in order.
+     */
+    buildScale(scaleName, { palette, reverse }) {
+        const base = CONFIG.colorScales[scaleName];
+        const order = colors => (reverse ? [...colors].reverse() : colors);
+
+        if (!Array.isArray(base)) {
+            const sets = this.categorical[scaleName] || {};
+            const colors = order(sets[palette] ? sets[palette].colors : Object.values(base));
+            return Object.fromEntries(Object.keys(base).map((key, i) => [key, colors[i]]));
+        }
+        if (this.diverging[palette]) {
+            const colors = order(this.diverging[palette].colors);
+            return colors.map((color, i) => [i / (colors.length - 1), color]);
+        }
+        if (this.sequential[palette]) {
+            const colors = this.sequential[palette].colors;
+            const positions = colors.map((_, i) => this.getPosition(base, i / (colors.length - 1)));
+            return order(colors).map((color, i) => [positions[i], color]);
+        }
+        return order(base.map(([, color]) => color)).map((color, i) => [base[i][0], color]);
+    },
+
+    /**
+     * Value a fraction `t` of the way along a scale's stops, counted in stops
+     */
+    getPosition(stops, t) {
+        const index = t * (stops.length - 1);
+        const i = Math.min(Math.floor(index), stops.length - 2);
+        return stops[i][0] + (index - i) * (stops[i + 1][0] - stops[i][0]);
+    },
+
+    /**
+     * [value, color] stops of a derived diverging scale over a domain, with
+     * its middle colour at the layer's midpoint; null for other scales
+     * A midpoint outside the domain is moved just inside it.
+     */
+    getDivergingStops(scaleName, [min, max]) {
+        if (!scaleName.startsWith(this.prefix)) return null;
+        const choice = this.getChoice(scaleName.slice(this.prefix.length));
+        if (!this.diverging[choice.palette]) return null;
+
+        const margin = (max - min) * 1e-3;
+        const centre = choice.midpoint === null ? (min + max) / 2 : choice.midpoint;
+        const midpoint = Math.min(Math.max(centre, min + margin), max - margin);
+        const stops = this.getScale(scaleName);
+        const half = (stops.length - 1) / 2;
+        return stops.map(([, color], i) => [
+            i <= half ? min + i / half * (midpoint - min) : midpoint + (i - half) / half * (max - midpoint),
+            color
+        ]);
+    }
+};
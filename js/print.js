@@ -0,0 +1,380 @@
+// Printable map export for EV Modelling Web Visualization
+// Renders the current view off-screen at print resolution and composites a
+// title, legend, scale bar, north arrow and attribution onto one page, saved
+// as PNG or PDF (via jsPDF, loaded the first time a PDF is saved).
+
+const PRINT = {
+    // Landscape page sizes in millimetres
+    paperSizes: {
+        a4: { width: 297, height: 210 },
+        a3: { width: 420, height: 297 },
+        letter: { width: 279.4, height: 215.9 }
+    },
+
+    margin: 10,  // mm around the page
+    headerHeight: 16,  // mm for the title and subtitle
+    footerHeight: 6,  // mm for the attribution line
+
+    // Longest canvas side MapLibre is allowed to render; larger fails on many GPUs
+    maxCanvasSize: 8192,
+    idleTimeout: 60000,
+
+    jspdfUrl: 'https://unpkg.com/jspdf@2.5.1/dist/jspdf.umd.min.js',
+    jspdfLoading: null,  // Pending load of jsPDF, shared by concurrent callers
+
+    /**
+     * Get the page size in millimetres for a paper size and orientation
+     */
+    getPageSize(paper, orientation) {
+        const size = this.paperSizes[paper];
+        return orientation === 'portrait'
+            ? { width: size.height, height: size.width }
+            : { width: size.width, height: size.height };
+    },
+
+    /**
+     * Render and save a page
+     * `options`: map, legends (legend specs), title, subtitle, attribution,
+     * paper, orientation, dpi, format ('png' | 'pdf') and fileName.
+     * Resolves with the dpi actually used, which is lower than requested
+     * when the map would exceed maxCanvasSize.
+     */
+    async render(options) {
+        // Fail before the slow render if the PDF library cannot be had
+        if (options.format === 'pdf') await this.loadPdfLibrary();
+
+        const page = this.getPageSize(options.paper, options.orientation);
+        const mapBox = {
+            x: this.margin,
+            y: this.margin + this.headerHeight,
+            width: page.width - 2 * this.margin,
+            height: page.height - 2 * this.margin - this.headerHeight - this.footerHeight
+        };
+
+        const view = await this.renderMap(options.map, mapBox, options.dpi);
+        let canvas;
+        try {
+            canvas = this.composePage(page, mapBox, view, options);
+        } finally {
+            view.map.remove();
+            view.container.remove();
+        }
+
+        if (options.format === 'pdf') {
+            this.savePdf(canvas, page, options.fileName);
+        } else {
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            EXPORT.download(blob, options.fileName, EXPORT.formats.png.mimeType);
+        }
+
+        return { dpi: view.dpi };
+    },
+
+    /**
+     * Render a copy of the map off-screen, sized to the page's map area
+     * The zoom is adjusted so the printed map covers at least the on-screen view.
+     */
+    async renderMap(sourceMap, mapBox, dpi) {
+        const cssWidth = Math.round(mapBox.width / 25.4 * 96);
+        const cssHeight = Math.round(mapBox.height / 25.4 * 96);
+        const pixelRatio = Math.min(dpi / 96, this.maxCanvasSize / Math.max(cssWidth, cssHeight));
+
+        const container = document.createElement('div');
+        container.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${cssWidth}px; height: ${cssHeight}px;`;
+        document.body.appendChild(container);
+
+        const screen = sourceMap.getContainer();
+        const zoom = sourceMap.getZoom() +
+            Math.log2(Math.min(cssWidth / screen.clientWidth, cssHeight / screen.clientHeight));
+
+        const map = new maplibregl.Map({
+            container,
+            style: sourceMap.getStyle(),
+            center: sourceMap.getCenter(),
+            zoom,
+            bearing: sourceMap.getBearing(),
+            pitch: sourceMap.getPitch(),
+            pixelRatio,
+            maxCanvasSize: [this.maxCanvasSize, this.maxCanvasSize],
+            interactive: false,
+            attributionControl: false,
+            preserveDrawingBuffer: true,
+            fadeDuration: 0
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Timed out waiting for map tiles')), this.idleTimeout);
+                map.once('idle', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+        } catch (error) {
+            map.remove();
+            container.remove();
+            throw error;
+        }
+
+        return {
+            map,
+            container,
+            canvas: map.getCanvas(),
+            dpi: Math.round(pixelRatio * 96),
+            metersPerMm: this.getMetersPerPixel(map.getCenter().lat, zoom) * cssWidth / mapBox.width,
+            bearing: map.getBearing()
+        };
+    },
+
+    /**
+     * Ground distance of one CSS pixel at a latitude and zoom (512px tiles)
+     */
+    getMetersPerPixel(lat, zoom) {
+        return 40075016.686 * Math.cos(lat * Math.PI / 180) / (512 * Math.pow(2, zoom));
+    },
+
+    /**
+     * Draw the whole page onto a canvas
+     */
+    composePage(page, mapBox, view, options) {
+        const scale = view.dpi / 25.4;  // canvas pixels per mm
+        const mm = value => value * scale;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(mm(page.width));
+        canvas.height = Math.round(mm(page.height));
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        // Title and subtitle
+        ctx.fillStyle = '#1a1a2e';
+        ctx.textBaseline = 'alphabetic';
+        ctx.textAlign = 'left';
+        ctx.font = `700 ${mm(6)}px Inter, sans-serif`;
+        ctx.fillText(options.title, mm(this.margin), mm(this.margin + 7));
+        ctx.fillStyle = '#8a8aaa';
+        ctx.font = `400 ${mm(3.5)}px Inter, sans-serif`;
+        ctx.fillText(options.subtitle, mm(this.margin), mm(this.margin + 12.5));
+
+        // Map
+        ctx.drawImage(view.canvas, mm(mapBox.x), mm(mapBox.y), mm(mapBox.width), mm(mapBox.height));
+        ctx.strokeStyle = '#1a1a2e';
+        ctx.lineWidth = mm(0.3);
+        ctx.strokeRect(mm(mapBox.x), mm(mapBox.y), mm(mapBox.width), mm(mapBox.height));
+
+        this.drawNorthArrow(ctx, mm(mapBox.x + mapBox.width - 10), mm(mapBox.y + 12), mm, view.bearing);
+        this.drawScaleBar(ctx, mm(mapBox.x + 4), mm(mapBox.y + mapBox.height - 4), mm, view.metersPerMm);
+        this.drawLegend(ctx, options.legends, mm(mapBox.x + mapBox.width - 4), mm(mapBox.y + mapBox.height - 4), mm);
+
+        // Attribution
+        ctx.fillStyle = '#8a8aaa';
+        ctx.font = `400 ${mm(2.5)}px Inter, sans-serif`;
+        ctx.textAlign = 'right';
+        ctx.fillText(options.attribution, mm(page.width - this.margin), mm(page.height - this.margin - 1));
+
+        return canvas;
+    },
+
+    /**
+     * Draw a north arrow centred at (x, y), rotated against the map bearing
+     */
+    drawNorthArrow(ctx, x, y, mm, bearing) {
+        ctx.save();
+        ctx.translate(x, y);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.beginPath();
+        ctx.arc(0, 0, mm(6), 0, 2 * Math.PI);
+        ctx.fill();
+
+        ctx.rotate(-bearing * Math.PI / 180);
+        ctx.fillStyle = '#1a1a2e';
+        ctx.beginPath();
+        ctx.moveTo(0, -mm(4.5));
+        ctx.lineTo(mm(2.2), mm(2.5));
+        ctx.lineTo(0, mm(1.2));
+        ctx.lineTo(-mm(2.2), mm(2.5));
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.font = `700 ${mm(2.5)}px Inter, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText('N', 0, -mm(0.6));
+        ctx.restore();
+    },
+
+    /**
+     * Draw a scale bar with its bottom-left corner at (x, y)
+     * The bar length is the largest 1/2/5 x 10^n distance that fits in 35 mm.
+     */
+    drawScaleBar(ctx, x, y, mm, metersPerMm) {
+        const maxMeters = metersPerMm * 35;
+        const power = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+        const leading = maxMeters / power;
+        const meters = (leading >= 5 ? 5 : leading >= 2 ? 2 : 1) * power;
+        const length = mm(meters / metersPerMm);
+        const label = meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x - mm(2), y - mm(8), length + mm(4), mm(10));
+
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(x, y - mm(1.5), length, mm(1.5));
+
+        ctx.font = `600 ${mm(2.8)}px Inter, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(label, x, y - mm(3));
+        ctx.restore();
+    },
+
+    /**
+     * Draw the legends in a box with its bottom-right corner at (right, bottom)
+     */
+    drawLegend(ctx, specs, right, bottom, mm) {
+        if (specs.length === 0) return;
+
+        const width = mm(62);
+        const padding = mm(3);
+        const titleHeight = mm(5);
+        const rowHeight = mm(4.5);
+        const gradientHeight = mm(3) + mm(4.5);
+        const cellSize = mm(4);
+        const matrixHeight = 3 * cellSize + 2 * rowHeight;
+        const gap = mm(3);
+
+        const specHeight = spec => titleHeight + (spec.stops ? gradientHeight
+            : spec.matrix ? matrixHeight
+            : spec.items.length * rowHeight);
+        const height = 2 * padding + specs.reduce((sum, spec) => sum + specHeight(spec), 0) + gap * (specs.length - 1);
+        const left = right - width;
+        let y = bottom - height;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.92)';
+        ctx.fillRect(left, y, width, height);
+        ctx.strokeStyle = '#e8ebff';
+        ctx.lineWidth = mm(0.3);
+        ctx.strokeRect(left, y, width, height);
+
+        const x = left + padding;
+        const innerWidth = width - 2 * padding;
+        y += padding;
+
+        specs.forEach(spec => {
+            ctx.fillStyle = '#1a1a2e';
+            ctx.font = `600 ${mm(3)}px Inter, sans-serif`;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(spec.title, x, y, innerWidth);
+            y += titleHeight;
+
+            if (spec.stops) {
+                const min = spec.stops[0][0];
+                const max = spec.stops[spec.stops.length - 1][0];
+                const gradient = ctx.createLinearGradient(x, 0, x + innerWidth, 0);
+                spec.stops.forEach(([value, color]) => gradient.addColorStop((value - min) / (max - min), color));
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x, y, innerWidth, mm(3));
+
+                ctx.fillStyle = '#4a4a6a';
+                ctx.font = `400 ${mm(2.5)}px Inter, sans-serif`;
+                const ticks = LAYERS.getGradientTicks(spec.stops, spec.format);
+                ticks.forEach((tick, i) => {
+                    ctx.textAlign = i === 0 ? 'left' : i === ticks.length - 1 ? 'right' : 'center';
+                    ctx.fillText(tick.label, x + innerWidth * tick.left / 100, y + mm(3.8));
+                });
+                y += gradientHeight;
+            } else if (spec.matrix) {
+                this.drawMatrixLegend(ctx, spec.matrix, x, y, innerWidth, cellSize, rowHeight, mm);
+                y += matrixHeight;
+            } else {
+                ctx.font = `400 ${mm(2.7)}px Inter, sans-serif`;
+                spec.items.forEach(item => {
+                    ctx.fillStyle = item.color;
+                    ctx.fillRect(x, y, mm(3.5), mm(3.5));
+                    ctx.fillStyle = '#1a1a2e';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(item.label, x + mm(5.5), y + mm(1.75), innerWidth - mm(5.5));
+                    y += rowHeight;
+                });
+            }
+            y += gap;
+        });
+        ctx.restore();
+    },
+
+    /**
+     * Draw a bivariate legend (see LAYERS.generateMatrixLegend) with its top-left corner at (x, y)
+     */
+    drawMatrixLegend(ctx, { colors, x: xAxis, y: yAxis }, x, y, width, cellSize, rowHeight, mm) {
+        const gridLeft = x + mm(4);
+        const rows = colors.length;
+        colors.forEach((row, i) => {
+            row.forEach((color, j) => {
+                ctx.fillStyle = color;
+                ctx.fillRect(gridLeft + j * cellSize, y + (rows - 1 - i) * cellSize, cellSize, cellSize);
+            });
+        });
+
+        ctx.fillStyle = '#4a4a6a';
+        ctx.font = `400 ${mm(2.5)}px Inter, sans-serif`;
+        ctx.textBaseline = 'middle';
+
+        // Vertical label reads upwards beside the grid
+        ctx.save();
+        ctx.translate(x + mm(1.5), y + rows * cellSize);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'left';
+        ctx.fillText(`${yAxis.label} →`, 0, 0, rows * cellSize);
+        ctx.restore();
+
+        const breaks = axis => axis.breaks.length > 0
+            ? axis.breaks.map(value => LAYERS.formatLegendValue(value, axis.domain)).join(', ')
+            : '–';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${xAxis.label} →`, gridLeft, y + rows * cellSize + rowHeight / 2, width - mm(4));
+        ctx.fillText(`→ ${breaks(xAxis)}   ↑ ${breaks(yAxis)}`, x, y + rows * cellSize + rowHeight * 1.5, width);
+    },
+
+    /**
+     * Load jsPDF (once)
+     */
+    loadPdfLibrary() {
+        if (!this.jspdfLoading) {
+            this.jspdfLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.jspdfUrl;
+                script.onload = () => (window.jspdf ? resolve() : reject(new Error('PDF library failed to load')));
+                script.onerror = () => {
+                    script.remove();
+                    reject(new Error('PDF library failed to load'));
+                };
+                document.head.appendChild(script);
+            }).catch(error => {
+                // Allow a later retry
+                this.jspdfLoading = null;
+                throw error;
+            });
+        }
+        return this.jspdfLoading;
+    },
+
+    /**
+     * Save the page canvas as a single-page PDF of the same size (jsPDF must be loaded)
+     */
+    savePdf(canvas, page, fileName) {
+        const pdf = new jspdf.jsPDF({
+            orientation: page.width > page.height ? 'landscape' : 'portrait',
+            unit: 'mm',
+            format: [page.width, page.height]
+        });
+        pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', 0, 0, page.width, page.height);
+        pdf.save(fileName);
+    }
+};
@@ -0,0 +1,133 @@
+// Adjustable EV range for EV Modelling Web Visualization
+// The range_feasibility tiles are classified for a 100 km range (their
+// range_buffer_used is distance_km / 100). The model keeps 20% of the range in
+// reserve: a trip is feasible when the round trip fits the usable range,
+// constrained when only the one-way trip does (it needs charging at the
+// destination), and infeasible otherwise. Checked against the committed tiles,
+// the rule gives the modelled category, one_way_feasible and
+// round_trip_feasible of all 4,729 Nestrans and SWESTRANS trips. Reclassifying
+// distance_km with it lets the lines be restyled for other ranges; at 100 km
+// the modelled category is used as is, and check() reports trips the rule
+// would classify differently.
+
+const RANGE = {
+    stage: 'range_feasibility',
+    distanceProperty: 'distance_km',
+    categoryProperty: 'feasibility_category',  // Modelled category
+    defaultKm: 100,  // Range the tiles were classified for
+    minKm: 50,
+    maxKm: 400,
+    stepKm: 10,
+    usableShare: 0.8,  // Share of the range used before recharging
+    checked: false,  // Whether a mismatch with the tiles has been reported
+
+    /**
+     * Clamp a range to the slider's bounds and step
+     */
+    clamp(km) {
+        const value = Math.round(Number(km) / this.stepKm) * this.stepKm;
+        if (!Number.isFinite(value)) return this.defaultKm;
+        return Math.min(Math.max(value, this.minKm), this.maxKm);
+    },
+
+    /**
+     * Longest feasible and constrained trips for a range, in km
+     */
+    getThresholds(km) {
+        const usable = km * this.usableShare;
+        return { feasible: usable / 2, constrained: usable };
+    },
+
+    /**
+     * Feasibility category of a trip distance for a range
+     */
+    classify(distance, km) {
+        const { feasible, constrained } = this.getThresholds(km);
+        if (distance <= feasible) return 'feasible';
+        if (distance <= constrained) return 'constrained';
+        return 'infeasible';
+    },
+
+    /**
+     * Feasibility category of a trip's properties for a range
+     * The modelled category at the default range and for trips without a distance.
+     */
+    classifyTrip(props, km) {
+        const distance = props[this.distanceProperty];
+        if (km === this.defaultKm || typeof distance !== 'number') return props[this.categoryProperty];
+        return this.classify(distance, km);
+    },
+
+    /**
+     * Count the trips whose modelled category the rule does not reproduce
+     * Warns once, as restyled ranges would then disagree with the model.
+     */
+    check(trips) {
+        const mismatches = trips.filter(props =>
+            typeof props[this.distanceProperty] === 'number' &&
+            this.classify(props[this.distanceProperty], this.defaultKm) !== props[this.categoryProperty]).length;
+        if (mismatches > 0 && !this.checked) {
+            this.checked = true;
+            console.warn(`Range rule disagrees with the modelled category of ${mismatches} of ${trips.length} trips`);
+        }
+        return mismatches;
+    },
+
+    /**
+     * Expression giving the feasibility category of a line for a range
+     * The modelled category at the default range and for lines without a distance.
+     */
+    getCategoryExpression(km) {
+        if (km === this.defaultKm) return ['get', this.categoryProperty];
+
+        const { feasible, constrained } = this.getThresholds(km);
+        const distance = ['get', this.distanceProperty];
+        return ['case',
+            ['!', ['has', this.distanceProperty]], ['get', this.categoryProperty],
+            ['<=', distance, feasible], 'feasible',
+            ['<=', distance, constrained], 'constrained',
+            'infeasible'
+        ];
+    },
+
+    /**
+     * Legend of the stage for a range, with the distance band of each category
+     */
+    getLegendSpec(km) {
+        const spec = LAYERS.getLegendSpec(this.stage);
+        const { feasible, constrained } = this.getThresholds(km);
+        const bands = {
+            feasible: `≤ ${this.formatKm(feasible)}`,
+            constrained: `${this.formatNumber(feasible)}–${this.formatKm(constrained)}`,
+            infeasible: `> ${this.formatKm(constrained)}`
+        };
+        const keys = Object.keys(CONFIG.colorScales[CONFIG.stages.find(s => s.id === this.stage).colorScale]);
+
+        return {
+            title: this.getTitle(km),
+            items: spec.items.map((item, i) => ({ ...item, label: `${item.label} (${bands[keys[i]]})` }))
+        };
+    },
+
+    /**
+     * Legend and statistics title for a range
+     */
+    getTitle(km) {
+        const stageConfig = CONFIG.stages.find(s => s.id === this.stage);
+        return `${stageConfig.legendTitle} (${km} km range)`;
+    },
+
+    /**
+     * Format a distance in km (whole km where exact)
+     */
+    formatKm(value) {
+        return `${this.formatNumber(value)} km`;
+    },
+
+    /**
+     * Format a number of km without the unit
+     */
+    formatNumber(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(1);
+    }
+};
@@ -0,0 +1,204 @@
+// Layer registry for EV Modelling Web Visualization
+// Owns the sources and style layers of each layer the app shows (a region's
+// stage, an overlay, the chargers), so they are added and torn down as a unit,
+// or hidden while keeping their tiles. Entries form a stack in group order
+// (analysis, then overlays, then chargers) whatever order they are added in,
+// which sits beneath the basemap's labels and is carried over when the basemap
+// changes. Entries have no event handlers of their own: the app binds its map
+// click and mousemove handlers once and looks up features in the registered
+// layers, so nothing is added per layer to leak or duplicate.
+
+class LayerRegistry {
+    constructor(map, labelLayer) {
+        this.map = map;
+        this.labelLayer = labelLayer;  // The basemap's label layer hint, see CONFIG.basemaps
+        this.groups = ['analysis', 'overlay', 'charger'];  // Bottom to top
+        this.entries = new Map();  // Entry id -> { group, sourceIds, layerIds, visible }
+        this.orders = {};  // Group -> entry ids bottom first, for groups in a chosen order
+    }
+
+    /**
+     * Whether an entry is registered
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Register an entry and add it to the map, above the entries of its group
+     * `sources` maps source ids to specs and `layers` are style layers, bottom
+     * first. An entry already registered is left as it is.
+     */
+    add(id, { group, sources = {}, layers = [] }) {
+        if (this.entries.has(id)) return;
+
+        const entry = { group, sourceIds: Object.keys(sources), layerIds: [], visible: true };
+        this.entries.set(id, entry);
+
+        Object.entries(sources).forEach(([sourceId, source]) => {
+            if (!this.map.getSource(sourceId)) this.map.addSource(sourceId, source);
+        });
+        layers.forEach(layer => this.addLayer(id, layer));
+    }
+
+    /**
+     * Add a style layer to a registered entry, on top of its other layers
+     * The layer is hidden while the entry is.
+     */
+    addLayer(id, layer) {
+        const entry = this.entries.get(id);
+        if (!entry || this.map.getLayer(layer.id)) return;
+
+        const added = entry.visible ? layer : { ...layer, layout: { ...layer.layout, visibility: 'none' } };
+        this.map.addLayer(added, this.getBeforeId(id));
+        entry.layerIds.push(layer.id);
+    }
+
+    /**
+     * Remove one style layer of a registered entry
+     */
+    removeLayer(id, layerId) {
+        const entry = this.entries.get(id);
+        if (!entry || !entry.layerIds.includes(layerId)) return;
+
+        if (this.map.getLayer(layerId)) this.map.removeLayer(layerId);
+        entry.layerIds = entry.layerIds.filter(other => other !== layerId);
+    }
+
+    /**
+     * Show or hide an entry's style layers
+     * Its sources stay on the map, so showing it again does not refetch tiles.
+     */
+    setVisible(id, visible) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        entry.visible = visible;
+        entry.layerIds
+            .filter(layerId => this.map.getLayer(layerId))
+            .forEach(layerId => this.map.setLayoutProperty(layerId, 'visibility', visible ? 'visible' : 'none'));
+    }
+
+    /**
+     * Whether an entry is registered and shown
+     */
+    isVisible(id) {
+        const entry = this.entries.get(id);
+        return Boolean(entry && entry.visible);
+    }
+
+    /**
+     * Remove an entry's style layers and sources
+     * A source another entry still uses is kept.
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        [...entry.layerIds].reverse().forEach(layerId => {
+            if (this.map.getLayer(layerId)) this.map.removeLayer(layerId);
+        });
+        this.entries.delete(id);
+
+        const shared = new Set([...this.entries.values()].flatMap(other => other.sourceIds));
+        entry.sourceIds
+            .filter(sourceId => !shared.has(sourceId) && this.map.getSource(sourceId))
+            .forEach(sourceId => this.map.removeSource(sourceId));
+    }
+
+    /**
+     * Entry ids from the bottom of the stack up, optionally of one group
+     * Within a group, entries follow its chosen order (see setOrder), then the order they were added in.
+     */
+    getIds(group = null) {
+        return this.groups
+            .filter(g => !group || g === group)
+            .flatMap(g => {
+                const order = this.orders[g] || [];
+                const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+                return [...this.entries]
+                    .filter(([, entry]) => entry.group === g)
+                    .map(([id]) => id)
+                    .sort((a, b) => rank(a) - rank(b));
+            });
+    }
+
+    /**
+     * Set the order of a group's entries, bottom first, and restack those on the map
+     * Entries added later take their place in this order too.
+     */
+    setOrder(group, ids) {
+        this.orders[group] = [...ids];
+
+        const entryIds = this.getIds(group);
+        if (entryIds.length === 0) return;
+
+        let beforeId = this.getBeforeId(entryIds[entryIds.length - 1]);
+        [...this.getLayerIds(group)].reverse()
+            .filter(layerId => this.map.getLayer(layerId))
+            .forEach(layerId => {
+                this.map.moveLayer(layerId, beforeId);
+                beforeId = layerId;
+            });
+    }
+
+    /**
+     * Style layer ids of the registered entries, bottom first
+     */
+    getLayerIds(group = null) {
+        return this.getIds(group).flatMap(id => this.entries.get(id).layerIds);
+    }
+
+    /**
+     * Layer to insert a new layer of an entry before: the lowest layer of the
+     * entries above it, else the basemap's first label layer
+     * Undefined (the top of the style) for a basemap without labels.
+     */
+    getBeforeId(id) {
+        const ids = this.getIds();
+        return ids.slice(ids.indexOf(id) + 1)
+            .flatMap(above => this.entries.get(above).layerIds)
+            .find(layerId => this.map.getLayer(layerId)) || this.getLabelLayerId();
+    }
+
+    /**
+     * Id of the basemap's label layer hint, else of its lowest symbol layer, or undefined
+     */
+    getLabelLayerId() {
+        if (this.labelLayer && this.map.getLayer(this.labelLayer)) return this.labelLayer;
+        const registered = new Set(this.getLayerIds());
+        const label = this.map.getStyle().layers.find(layer => layer.type === 'symbol' && !registered.has(layer.id));
+        return label ? label.id : undefined;
+    }
+
+    /**
+     * Switch the basemap style, keeping the registered sources and layers
+     * They go beneath the new style's labels in stack order, with their
+     * current paint, layout and filters. `labelLayer` is the new basemap's
+     * label layer hint.
+     */
+    setStyle(style, labelLayer) {
+        this.labelLayer = labelLayer;
+        this.map.setStyle(style, {
+            transformStyle: (previous, next) => {
+                if (!previous) return next;
+
+                const layerIds = this.getLayerIds();
+                const sourceIds = new Set([...this.entries.values()].flatMap(entry => entry.sourceIds));
+                const layers = new Map(previous.layers.map(layer => [layer.id, layer]));
+                const carried = layerIds.filter(id => layers.has(id)).map(id => layers.get(id));
+                const hinted = next.layers.findIndex(layer => layer.id === labelLayer);
+                const labelIndex = hinted >= 0 ? hinted : next.layers.findIndex(layer => layer.type === 'symbol');
+                const at = labelIndex >= 0 ? labelIndex : next.layers.length;
+                return {
+                    ...next,
+                    sources: {
+                        ...next.sources,
+                        ...Object.fromEntries(Object.entries(previous.sources).filter(([id]) => sourceIds.has(id)))
+                    },
+                    layers: [...next.layers.slice(0, at), ...carried, ...next.layers.slice(at)]
+                };
+            }
+        });
+    }
+}
@@ -0,0 +1,362 @@
+// What-if charger scenarios for EV Modelling Web Visualization
+// Hypothetical chargers are placed on the map and the charging network
+// stage's accessibility is recomputed for the zones near them. The model
+// derives each zone's accessibility from the distance to its nearest charger
+// (nearest_charger_distance), so a new charger closer than that lifts the
+// zone into the matching band. Distances to new chargers are measured from
+// the zone's polygon centroid.
+
+const SCENARIO = {
+    storageKey: 'evModelling.chargerScenario',
+
+    sourceId: 'scenario-chargers-source',
+    layerId: 'scenario-chargers-layer',
+    zoneSourceId: 'scenario-zones-source',
+    zoneLayerId: 'scenario-zones',
+    zoneOutlineLayerId: 'scenario-zones-outline',
+
+    color: '#8b5cf6',
+    defaultPoints: 2,
+    maxPoints: 50,
+
+    // Accessibility bands of the charging network model by nearest-charger distance (metres)
+    accessibilityBands: [
+        { maxDistance: 500, score: 1, category: 'excellent' },
+        { maxDistance: 1000, score: 0.8, category: 'excellent' },
+        { maxDistance: 2000, score: 0.6, category: 'good' },
+        { maxDistance: 5000, score: 0.4, category: 'fair' },
+        { maxDistance: Infinity, score: 0.2, category: 'poor' }
+    ],
+    categories: ['excellent', 'good', 'fair', 'poor'],  // Best first
+
+    chargers: [],  // { id, lngLat: [lng, lat], points }
+    nextId: 1,
+
+    /**
+     * Restore the scenario saved in localStorage (an unreadable one is dropped)
+     */
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            this.setChargers(saved ? this.fromGeoJSON(JSON.parse(saved)) : []);
+        } catch (error) {
+            console.warn('Ignoring saved charger scenario:', error);
+            this.setChargers([]);
+        }
+    },
+
+    /**
+     * Save the scenario to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toGeoJSON()));
+        } catch (error) {
+            console.warn('Failed to save charger scenario:', error);
+        }
+    },
+
+    /**
+     * Replace all chargers with [{ lngLat, points }], giving them new ids
+     */
+    setChargers(chargers) {
+        this.nextId = 1;
+        this.chargers = chargers.map(charger => ({ ...charger, id: this.nextId++ }));
+    },
+
+    /**
+     * Add a charger and save
+     */
+    add(lngLat, points) {
+        const charger = { id: this.nextId++, lngLat, points: this.clampPoints(points) };
+        this.chargers.push(charger);
+        this.save();
+        return charger;
+    },
+
+    /**
+     * Change a charger's number of points and save
+     */
+    setPoints(id, points) {
+        const charger = this.chargers.find(c => c.id === id);
+        if (!charger) return;
+        charger.points = this.clampPoints(points);
+        this.save();
+    },
+
+    /**
+     * Remove a charger and save
+     */
+    remove(id) {
+        this.chargers = this.chargers.filter(c => c.id !== id);
+        this.save();
+    },
+
+    /**
+     * Whole number of points within 1..maxPoints (default for anything unreadable)
+     */
+    clampPoints(points) {
+        const value = Math.round(Number(points));
+        return Number.isFinite(value) && value >= 1 ? Math.min(value, this.maxPoints) : this.defaultPoints;
+    },
+
+    /**
+     * The scenario as a GeoJSON FeatureCollection of points
+     * `number_of_points` matches the attribute name of the real chargers.
+     */
+    toGeoJSON() {
+        return {
+            type: 'FeatureCollection',
+            features: this.chargers.map(charger => ({
+                type: 'Feature',
+                id: charger.id,
+                geometry: { type: 'Point', coordinates: charger.lngLat },
+                properties: { number_of_points: charger.points }
+            }))
+        };
+    },
+
+    /**
+     * Read chargers from GeoJSON (a FeatureCollection, Feature or bare Point)
+     * Throws when it has no usable points.
+     */
+    fromGeoJSON(data) {
+        const features = data && data.type === 'FeatureCollection' ? data.features
+            : data && data.type === 'Feature' ? [data]
+            : data && data.type === 'Point' ? [{ geometry: data, properties: {} }]
+            : null;
+        if (!Array.isArray(features)) {
+            throw new Error('Not a GeoJSON FeatureCollection');
+        }
+
+        const chargers = features
+            .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => ({ coordinates: feature.geometry.coordinates, properties: feature.properties || {} }))
+            .filter(({ coordinates }) => Array.isArray(coordinates) &&
+                Number.isFinite(coordinates[0]) && Math.abs(coordinates[0]) <= 180 &&
+                Number.isFinite(coordinates[1]) && Math.abs(coordinates[1]) <= 90)
+            .map(({ coordinates, properties }) => ({
+                lngLat: [coordinates[0], coordinates[1]],
+                points: this.clampPoints(properties.number_of_points)
+            }));
+
+        if (features.length > 0 && chargers.length === 0) {
+            throw new Error('No point features with valid coordinates');
+        }
+        return chargers;
+    },
+
+    /**
+     * Accessibility band for a nearest-charger distance
+     */
+    getBand(distance) {
+        return this.accessibilityBands.find(band => distance < band.maxDistance);
+    },
+
+    /**
+     * Distance beyond which a charger does not lift a zone out of the lowest band
+     */
+    getReach() {
+        return this.accessibilityBands[this.accessibilityBands.length - 2].maxDistance;
+    },
+
+    /**
+     * Recompute accessibility for the zones (from COVERAGE.collectZones) near scenario chargers
+     * Only zones within the widest finite band of a scenario charger can
+     * change. Returns [{ key, region, properties, geometries, centroid, modelled,
+     * scenario, pointsWithin1km }] where `modelled` and
+     * `scenario` are { distance, score, category }.
+     */
+    recompute(zones) {
+        const reach = this.getReach();
+
+        return zones.map(zone => {
+            const props = zone.properties;
+            const modelledDistance = props.nearest_charger_distance;
+            if (!zone.centroid || typeof modelledDistance !== 'number') return null;
+
+            let nearest = Infinity;
+            let pointsWithin1km = 0;
+            this.chargers.forEach(charger => {
+                const distance = COVERAGE.distance(zone.centroid, charger.lngLat);
+                nearest = Math.min(nearest, distance);
+                if (distance < 1000) {
+                    pointsWithin1km += charger.points;
+                }
+            });
+            if (nearest >= reach) return null;
+
+            const modelled = {
+                distance: modelledDistance,
+                score: props.accessibility_score,
+                category: props.charging_accessibility_category
+            };
+            const scenarioDistance = Math.min(modelledDistance, nearest);
+            const band = this.getBand(scenarioDistance);
+            const scenario = scenarioDistance < modelledDistance
+                ? { distance: scenarioDistance, score: band.score, category: band.category }
+                : modelled;
+
+            return { ...zone, modelled, scenario, pointsWithin1km };
+        }).filter(Boolean);
+    },
+
+    /**
+     * Whether a recomputed zone moves to a better accessibility category
+     */
+    isImproved(zone) {
+        const before = this.categories.indexOf(zone.modelled.category);
+        const after = this.categories.indexOf(zone.scenario.category);
+        return after !== -1 && (before === -1 || after < before);
+    },
+
+    /**
+     * Add the hypothetical charger layer on top, or refresh its data and bring it back up
+     */
+    addLayers(map) {
+        const data = this.toGeoJSON();
+        const source = map.getSource(this.sourceId);
+        if (source) {
+            source.setData(data);
+            map.moveLayer(this.layerId);
+            return;
+        }
+
+        map.addSource(this.sourceId, { type: 'geojson', data });
+        map.addLayer({
+            id: this.layerId,
+            type: 'circle',
+            source: this.sourceId,
+            paint: {
+                'circle-radius': LAYERS.createPointRadius(),
+                'circle-color': this.color,
+                'circle-stroke-color': '#ffffff',
+                'circle-stroke-width': 2,
+                'circle-opacity': 0.9
+            }
+        });
+    },
+
+    /**
+     * Draw the zones whose category improves, in their scenario category colour
+     * They go above the analysis layers but below all chargers, so those stay visible.
+     */
+    drawZones(map, zones) {
+        const colorScale = CONFIG.colorScales.charging_category;
+        const data = {
+            type: 'FeatureCollection',
+            features: zones.filter(zone => this.isImproved(zone)).flatMap(zone => zone.geometries.map(geometry => ({
+                type: 'Feature',
+                geometry,
+                properties: { category: zone.scenario.category }
+            })))
+        };
+
+        const beforeId = [CHARGERS.clusterLayerId, this.layerId].find(id => map.getLayer(id));
+        const source = map.getSource(this.zoneSourceId);
+        if (source) {
+            source.setData(data);
+            map.moveLayer(this.zoneLayerId, beforeId);
+            map.moveLayer(this.zoneOutlineLayerId, beforeId);
+            return;
+        }
+
+        map.addSource(this.zoneSourceId, { type: 'geojson', data });
+        map.addLayer({
+            id: this.zoneLayerId,
+            type: 'fill',
+            source: this.zoneSourceId,
+            paint: {
+                'fill-color': ['match', ['get', 'category'], ...Object.entries(colorScale).flat(), '#95a5a6'],
+                'fill-opacity': 0.85
+            }
+        }, beforeId);
+        map.addLayer({
+            id: this.zoneOutlineLayerId,
+            type: 'line',
+            source: this.zoneSourceId,
+            paint: { 'line-color': this.color, 'line-width': 2 }
+        }, beforeId);
+    },
+
+    /**
+     * Remove the scenario layers and sources
+     */
+    removeLayers(map) {
+        [this.layerId, this.zoneOutlineLayerId, this.zoneLayerId].forEach(layerId => {
+            if (map.getLayer(layerId)) map.removeLayer(layerId);
+        });
+        [this.sourceId, this.zoneSourceId].forEach(sourceId => {
+            if (map.getSource(sourceId)) map.removeSource(sourceId);
+        });
+    },
+
+    /**
+     * Generate the comparison: zones per category as modelled and in the scenario
+     */
+    generateResults(zones) {
+        if (this.chargers.length === 0) {
+            return '<div class="panel-note">No hypothetical chargers placed</div>';
+        }
+        if (zones.length === 0) {
+            return '<div class="panel-note">No zones loaded near the hypothetical chargers</div>';
+        }
+
+        const colorScale = CONFIG.colorScales.charging_category;
+        const count = (key, category) => zones.filter(zone => zone[key].category === category).length;
+        const rows = this.categories.map(category => `
+            <tr>
+                <td><span class="coverage-swatch" style="background: ${colorScale[category]};"></span>${category}</td>
+                <td>${count('modelled', category).toLocaleString()}</td>
+                <td>${count('scenario', category).toLocaleString()}</td>
+            </tr>
+        `).join('');
+
+        const improved = zones.filter(zone => this.isImproved(zone)).length;
+        const mean = key => {
+            const scores = zones.map(zone => zone[key].score).filter(score => typeof score === 'number');
+            return scores.length > 0 ? (scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2) : '–';
+        };
+
+        return `
+            <div class="panel-note">${zones.length.toLocaleString()} zones within ${COVERAGE.formatRadius(this.getReach())} of a hypothetical charger; ${improved.toLocaleString()} improve</div>
+            <table class="coverage-table scenario-table">
+                <thead><tr><th>Accessibility</th><th>Modelled</th><th>Scenario</th></tr></thead>
+                <tbody>${rows}</tbody>
+                <tfoot><tr><td>Mean score</td><td>${mean('modelled')}</td><td>${mean('scenario')}</td></tr></tfoot>
+            </table>
+        `;
+    },
+
+    /**
+     * Info panel rows comparing a zone's modelled and scenario accessibility
+     */
+    generateZoneInfo(zone) {
+        const distance = value => value >= 1000 ? `${(value / 1000).toFixed(1)} km` : `${Math.round(value)} m`;
+        const rows = [
+            ['Scenario accessibility', `${zone.scenario.category} (modelled: ${zone.modelled.category})`],
+            ['Scenario nearest charger', `${distance(zone.scenario.distance)} (modelled: ${distance(zone.modelled.distance)})`],
+            ['Hypothetical points within 1 km', zone.pointsWithin1km]
+        ];
+        return rows.map(([label, value]) => `
+            <div class="info-row scenario">
+                <span class="info-label">${label}</span>
+                <span class="info-value">${value}</span>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Popup content for editing a hypothetical charger
+     */
+    generateChargerEditor(charger) {
+        return `
+            <div class="cluster-heading">Hypothetical charger</div>
+            <label class="scenario-editor-row">
+                <span>Charging points</span>
+                <input type="number" class="panel-input scenario-editor-points" min="1" max="${this.maxPoints}" step="1" value="${charger.points}">
+            </label>
+            <button class="panel-button scenario-editor-remove">Remove</button>
+        `;
+    }
+};
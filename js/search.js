@@ -0,0 +1,312 @@
+// Feature search for EV Modelling Web Visualization
+// Finds data zones by geo_code in the offline index written by write_search_index()
+// (scripts/convert_gpkg_to_pmtiles.R), plus any zones in the currently loaded
+// tiles, and chargers by name, town or postcode among the loaded charger points.
+
+const SEARCH = {
+    entries: null,  // Index entries once loaded
+    loading: null,  // Pending load, shared by concurrent callers
+    chargerEntries: null,  // Entries of CHARGERS.features, built on first search
+    chargerFeatures: null,  // Features the charger entries were built from
+
+    maxResults: 8,
+    minQueryLength: 2,
+
+    highlightSourceId: 'search-highlight-source',
+    highlightLayerId: 'search-highlight',
+
+    /**
+     * Fetch the search index (once)
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = fetch(CONFIG.searchIndexUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load search index (HTTP ${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    this.entries = (data.zones || []).map(zone => this.createZoneEntry(zone.geo_code, zone.region, zone.bbox));
+                })
+                .catch(error => {
+                    // Allow a later retry
+                    this.loading = null;
+                    throw error;
+                });
+        }
+        return this.loading;
+    },
+
+    /**
+     * Create a data zone entry
+     * Each entry has `keys`, the strings the query is matched against.
+     */
+    createZoneEntry(geoCode, region, bbox) {
+        const regionInfo = MANIFEST.getRegions().find(r => r.id === region);
+        return {
+            type: 'zone',
+            label: geoCode,
+            detail: `Data zone · ${regionInfo ? regionInfo.name : region}`,
+            keys: [geoCode],
+            geoCode,
+            region,
+            bbox
+        };
+    },
+
+    /**
+     * Entries of the loaded charger points (CHARGERS.features), built once per load
+     */
+    getChargerEntries() {
+        if (!CHARGERS.features) return [];
+        if (this.chargerFeatures !== CHARGERS.features) {
+            this.chargerFeatures = CHARGERS.features;
+            this.chargerEntries = CHARGERS.features.map(feature => {
+                const props = feature.properties;
+                return {
+                    type: 'charger',
+                    label: props.title || 'Charging station',
+                    detail: ['Charger', [props.town, props.postcode].filter(Boolean).join(', ')].filter(Boolean).join(' · '),
+                    keys: [props.title, props.town, props.postcode].filter(Boolean),
+                    lngLat: feature.geometry.coordinates,
+                    properties: props
+                };
+            });
+        }
+        return this.chargerEntries;
+    },
+
+    /**
+     * Collect zones with a geo_code from the loaded tiles of some sources
+     * `sources` is a list of { sourceId, sourceLayer, region }. A zone split
+     * across tiles gets the combined bounding box of its pieces.
+     */
+    getLoadedZones(map, sources) {
+        const zones = {};
+        sources.forEach(({ sourceId, sourceLayer, region }) => {
+            if (!map.getSource(sourceId)) return;
+            map.querySourceFeatures(sourceId, { sourceLayer }).forEach(feature => {
+                const geoCode = feature.properties.geo_code;
+                if (geoCode === undefined || geoCode === null) return;
+
+                const key = `${region} ${geoCode}`;
+                const bbox = this.getGeometryBounds(feature.geometry);
+                if (!zones[key]) {
+                    zones[key] = this.createZoneEntry(String(geoCode), region, bbox);
+                } else {
+                    const existing = zones[key].bbox;
+                    zones[key].bbox = [
+                        Math.min(existing[0], bbox[0]), Math.min(existing[1], bbox[1]),
+                        Math.max(existing[2], bbox[2]), Math.max(existing[3], bbox[3])
+                    ];
+                }
+            });
+        });
+        return Object.values(zones);
+    },
+
+    /**
+     * Bounding box [west, south, east, north] of a GeoJSON geometry
+     */
+    getGeometryBounds(geometry) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+        const visit = (coords) => {
+            if (typeof coords[0] === 'number') {
+                bbox[0] = Math.min(bbox[0], coords[0]);
+                bbox[1] = Math.min(bbox[1], coords[1]);
+                bbox[2] = Math.max(bbox[2], coords[0]);
+                bbox[3] = Math.max(bbox[3], coords[1]);
+            } else {
+                coords.forEach(visit);
+            }
+        };
+        visit(geometry.coordinates);
+        return bbox;
+    },
+
+    /**
+     * Rank the index zones, `loadedZones` and the chargers against a query
+     * Zones already in the index are not repeated from `loadedZones`.
+     */
+    search(query, loadedZones = []) {
+        if (this.normalize(query).length < this.minQueryLength) return [];
+
+        const indexed = new Set((this.entries || []).map(entry => `${entry.region} ${entry.geoCode}`));
+        const candidates = [
+            ...(this.entries || []),
+            ...loadedZones.filter(entry => !indexed.has(`${entry.region} ${entry.geoCode}`)),
+            ...this.getChargerEntries()
+        ];
+
+        return candidates
+            .map(entry => ({ entry, score: Math.max(...entry.keys.map(key => this.score(query, key))) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.entry.label.length - b.entry.label.length)
+            .slice(0, this.maxResults)
+            .map(result => result.entry);
+    },
+
+    /**
+     * Score how well `text` matches `query`, from 0 (no match) to 1 (exact)
+     * Prefix and substring matches rank first, then near misses (one or two
+     * typos), then the query's characters appearing in order.
+     */
+    score(query, text) {
+        const q = this.normalize(query);
+        const t = this.normalize(text);
+        if (!q || !t) return 0;
+
+        // Postcodes and codes are often typed without their spaces
+        const qCompact = q.replace(/ /g, '');
+        const tCompact = t.replace(/ /g, '');
+
+        if (t === q) return 1;
+        if (tCompact === qCompact) return 0.95;
+        if (t.startsWith(q)) return 0.9;
+        if (tCompact.startsWith(qCompact)) return 0.85;
+        if ((' ' + t).includes(' ' + q)) return 0.8;
+        if (t.includes(q)) return 0.7;
+
+        if (q.length >= 4) {
+            const maxEdits = q.length >= 8 ? 2 : 1;
+            const words = t.split(' ');
+            let best = Infinity;
+            words.forEach((_, i) => {
+                const candidate = words.slice(i).join(' ').slice(0, q.length);
+                best = Math.min(best, this.editDistance(q, candidate));
+            });
+            if (best <= maxEdits) return 0.6 - 0.1 * best;
+        }
+
+        const density = this.subsequenceDensity(qCompact, tCompact);
+        return density > 0 ? 0.2 + 0.2 * density : 0;
+    },
+
+    /**
+     * Lower-case and reduce punctuation to single spaces
+     */
+    normalize(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Levenshtein distance between two short strings
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    /**
+     * How tightly the query's characters appear in order in the text
+     * Returns query length / matched span, or 0 if they do not all appear.
+     */
+    subsequenceDensity(query, text) {
+        let start = -1;
+        let position = -1;
+        for (const char of query) {
+            position = text.indexOf(char, position + 1);
+            if (position === -1) return 0;
+            if (start === -1) start = position;
+        }
+        return query.length / (position - start + 1);
+    },
+
+    /**
+     * Generate the HTML for the result list
+     */
+    generateResultList(results, activeIndex) {
+        if (results.length === 0) {
+            return '<li class="search-empty">No matches</li>';
+        }
+        return results.map((result, i) => `
+            <li class="search-result${i === activeIndex ? ' active' : ''}" data-index="${i}">
+                <span class="search-result-label">${this.escapeHtml(result.label)}</span>
+                <span class="search-result-detail">${this.escapeHtml(result.detail)}</span>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Escape text for insertion into HTML
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Outline a search result on the map
+     * Zones are outlined through the stage's own source (so the full polygon is
+     * drawn, not just the loaded pieces); chargers get a ring.
+     */
+    addHighlight(map, result, stage) {
+        this.removeHighlight(map);
+
+        if (result.type === 'charger') {
+            map.addSource(this.highlightSourceId, {
+                type: 'geojson',
+                data: { type: 'Feature', geometry: { type: 'Point', coordinates: result.lngLat }, properties: {} }
+            });
+            map.addLayer({
+                id: this.highlightLayerId,
+                type: 'circle',
+                source: this.highlightSourceId,
+                paint: {
+                    'circle-radius': 14,
+                    'circle-color': 'rgba(0, 0, 0, 0)',
+                    'circle-stroke-color': LAYERS.highlightColor,
+                    'circle-stroke-width': 3
+                }
+            });
+            return;
+        }
+
+        const stageConfig = CONFIG.stages.find(s => s.id === stage);
+        const sourceId = `${result.region}-${stage}-source`;
+        if (stageConfig.type !== 'polygon' || !map.getSource(sourceId)) return;
+
+        map.addLayer({
+            id: this.highlightLayerId,
+            type: 'line',
+            source: sourceId,
+            'source-layer': LAYERS.getSourceLayer(result.region, stage),
+            filter: ['==', ['to-string', ['get', 'geo_code']], result.geoCode],
+            paint: {
+                'line-color': LAYERS.highlightColor,
+                'line-width': 3
+            }
+        });
+    },
+
+    /**
+     * Remove the search highlight (must happen before its source is removed)
+     */
+    removeHighlight(map) {
+        if (map.getLayer(this.highlightLayerId)) {
+            map.removeLayer(this.highlightLayerId);
+        }
+        if (map.getSource(this.highlightSourceId)) {
+            map.removeSource(this.highlightSourceId);
+        }
+    }
+};
@@ -0,0 +1,223 @@
+// Summary statistics for EV Modelling Web Visualization
+// Summarises the colour property of the analysis features rendered in the
+// current view (so the viewport and attribute filters apply): a histogram
+// and percentiles for continuous stages, category counts for categorical ones.
+
+const STATS = {
+    histogramBins: 10,
+    percentiles: [10, 25, 75, 90],
+
+    /**
+     * Collect one value per rendered feature, with the region it came from
+     * Pieces of a feature split across tiles are counted once (see EXPORT.mergePieces).
+     * `property` may also be a function computing the value from a feature's properties.
+     */
+    collectValues(map, layerIds, property) {
+        const read = typeof property === 'function' ? property : props => props[property];
+        const layers = layerIds.filter(id => map.getLayer(id));
+        if (layers.length === 0) return [];
+
+        return EXPORT.mergePieces(map.queryRenderedFeatures({ layers }), feature => feature.layer.id.split('-')[0])
+            .map(({ group, feature }) => ({ region: group, value: read(feature.properties) }))
+            .filter(({ value }) => value !== undefined && value !== null);
+    },
+
+    /**
+     * Compute the statistics of a stage from collected values
+     * Returns { categorical, total, summary, histogram } or
+     * { categorical, total, categories } where `total` counts the values.
+     */
+    describe(values, colorScale) {
+        if (!Array.isArray(colorScale)) {
+            return {
+                categorical: true,
+                total: values.length,
+                categories: this.countCategories(values, colorScale)
+            };
+        }
+
+        const numbers = values
+            .filter(v => typeof v === 'number' && Number.isFinite(v))
+            .sort((a, b) => a - b);
+        return {
+            categorical: false,
+            total: numbers.length,
+            summary: this.summarize(numbers),
+            histogram: this.histogram(numbers, this.histogramBins)
+        };
+    },
+
+    /**
+     * Mean, median, extremes and percentiles of sorted numbers (null if empty)
+     */
+    summarize(sorted) {
+        if (sorted.length === 0) return null;
+        return {
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+            median: this.percentile(sorted, 50),
+            percentiles: this.percentiles.map(p => ({ p, value: this.percentile(sorted, p) }))
+        };
+    },
+
+    /**
+     * Percentile of sorted numbers, interpolating between ranks
+     */
+    percentile(sorted, p) {
+        const rank = (sorted.length - 1) * p / 100;
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    },
+
+    /**
+     * Count sorted numbers in equal-width bins over their range
+     * Returns [{ from, to, count }]; a single value gives a single bin.
+     */
+    histogram(sorted, binCount) {
+        if (sorted.length === 0) return [];
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        if (max === min) return [{ from: min, to: max, count: sorted.length }];
+
+        const width = (max - min) / binCount;
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            from: min + i * width,
+            to: i === binCount - 1 ? max : min + (i + 1) * width,
+            count: 0
+        }));
+        sorted.forEach(value => {
+            bins[Math.min(Math.floor((value - min) / width), binCount - 1)].count++;
+        });
+        return bins;
+    },
+
+    /**
+     * Count values per category, in the colour scale's order (unlisted values last)
+     * Returns [{ category, color, count }] for categories that occur.
+     */
+    countCategories(values, colorScale) {
+        const counts = new Map(Object.keys(colorScale).map(category => [category, 0]));
+        values.forEach(value => {
+            const category = String(value);
+            counts.set(category, (counts.get(category) || 0) + 1);
+        });
+        return [...counts.entries()]
+            .filter(([, count]) => count > 0)
+            .map(([category, count]) => ({ category, color: colorScale[category] || '#95a5a6', count }));
+    },
+
+    /**
+     * Generate the stats panel HTML
+     * `stats` comes from describe(); `regionStats` is a list of
+     * { name, stats } for the per-region breakdown, or null.
+     * `format(value)` formats numbers as in the info panel.
+     */
+    render(title, stats, regionStats, format) {
+        if (stats.total === 0) {
+            return `<div class="panel-note">No ${title.toLowerCase()} values in view</div>`;
+        }
+
+        let html = `
+            <div class="stats-heading">
+                <span>${title}</span>
+                <span>${stats.total.toLocaleString()} in view</span>
+            </div>
+        `;
+        html += stats.categorical
+            ? this.renderCategories(stats.categories, stats.total)
+            : this.renderHistogram(stats.histogram, format) + this.renderSummary(stats.summary, format);
+
+        if (regionStats) {
+            html += this.renderRegions(regionStats, stats.categorical, format);
+        }
+        return html;
+    },
+
+    /**
+     * Histogram bars with the value range underneath
+     */
+    renderHistogram(bins, format) {
+        const maxCount = Math.max(...bins.map(bin => bin.count));
+        const bars = bins.map(bin => `
+            <div class="stats-bar" title="${format(bin.from)} – ${format(bin.to)}: ${bin.count.toLocaleString()}">
+                <div class="stats-bar-fill" style="height: ${(bin.count / maxCount * 100).toFixed(1)}%;"></div>
+            </div>
+        `).join('');
+
+        return `
+            <div class="stats-histogram">${bars}</div>
+            <div class="stats-axis">
+                <span>${format(bins[0].from)}</span>
+                <span>${format(bins[bins.length - 1].to)}</span>
+            </div>
+        `;
+    },
+
+    /**
+     * Mean, median and percentiles as a two-column grid
+     */
+    renderSummary(summary, format) {
+        const rows = [
+            ['Mean', summary.mean],
+            ['Median', summary.median],
+            ...summary.percentiles.map(({ p, value }) => [`P${p}`, value])
+        ];
+        return `
+            <div class="stats-summary">
+                ${rows.map(([label, value]) => `
+                    <div class="stats-cell">
+                        <span class="stats-label">${label}</span>
+                        <span class="stats-value">${format(value)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * One bar per category with its count and share
+     */
+    renderCategories(categories, total) {
+        return categories.map(({ category, color, count }) => `
+            <div class="stats-category">
+                <div class="stats-category-label">
+                    <span>${category.replace(/_/g, ' ')}</span>
+                    <span>${count.toLocaleString()} (${(count / total * 100).toFixed(0)}%)</span>
+                </div>
+                <div class="stats-category-track">
+                    <div class="stats-category-fill" style="width: ${(count / total * 100).toFixed(1)}%; background: ${color};"></div>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Per-region table: count, mean and median, or the category mix
+     */
+    renderRegions(regionStats, categorical, format) {
+        const rows = regionStats.map(({ name, stats }) => {
+            let cells;
+            if (stats.total === 0) {
+                cells = categorical ? '<td>–</td>' : '<td>–</td><td>–</td>';
+            } else if (categorical) {
+                const segments = stats.categories.map(({ category, color, count }) =>
+                    `<span style="width: ${(count / stats.total * 100).toFixed(1)}%; background: ${color};" title="${category}: ${count.toLocaleString()}"></span>`
+                ).join('');
+                cells = `<td><div class="stats-stack">${segments}</div></td>`;
+            } else {
+                cells = `<td>${format(stats.summary.mean)}</td><td>${format(stats.summary.median)}</td>`;
+            }
+            return `<tr><td>${name}</td><td>${stats.total.toLocaleString()}</td>${cells}</tr>`;
+        }).join('');
+
+        const headers = categorical ? '<th>Mix</th>' : '<th>Mean</th><th>Median</th>';
+        return `
+            <table class="stats-regions">
+                <thead><tr><th>Region</th><th>n</th>${headers}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+};
@@ -0,0 +1,210 @@
+// Tile loading for EV Modelling Web Visualization
+// A TileTracker follows the PMTiles sources of one map through MapLibre's data
+// and error events; the main and compare maps each have their own, as their
+// source ids overlap. An archive that fails to load (missing, corrupt or a CDN
+// outage) is retried with backoff, then taken from the same-origin pmtiles/
+// folder (CONFIG.pmtilesFallbackUrl). Once that copy has worked, later archives
+// on either map are read from it straight away (TILES.useFallback). The app is
+// told so it can show a spinner and toasts.
+
+const TILES = {
+    retryDelays: [1000, 4000],  // Backoff before each retry from the same base URL
+    useFallback: false,  // Whether archives are read from the same-origin copy
+    retryCount: 0,
+
+    /**
+     * Base URL archives are read from
+     */
+    getBaseUrl() {
+        return this.useFallback ? this.getFallbackUrl() : CONFIG.pmtilesBaseUrl;
+    },
+
+    /**
+     * Absolute URL of the same-origin copy of the archives
+     */
+    getFallbackUrl() {
+        return new URL(CONFIG.pmtilesFallbackUrl, window.location.href).href.replace(/\/$/, '');
+    },
+
+    /**
+     * Archive file name of a pmtiles:// source URL
+     */
+    getFile(url) {
+        return url.replace(/^pmtiles:\/\//, '').split('?')[0].split('/').pop();
+    },
+
+    /**
+     * Name of an archive for messages, e.g. "Zettrans Adoption Propensity"
+     */
+    getLabel(url) {
+        const file = this.getFile(url);
+        const archive = MANIFEST.archives.find(a => a.file === file);
+        if (!archive) return file;
+
+        const stageConfig = archive.stage && CONFIG.stages.find(s => s.id === archive.stage);
+        const overlay = CONFIG.overlayLayers.find(o => o.id === archive.id);
+        const name = stageConfig ? `${archive.regionName || archive.region} ${stageConfig.name}` : (overlay ? overlay.name : archive.id);
+        return archive.period ? `${name} (${TIMELINE.formatPeriod(archive.period)})` : name;
+    },
+
+    /**
+     * URL to retry an archive from
+     * The PMTiles protocol caches a failed archive by URL, so each attempt gets its own query string.
+     */
+    getRetryUrl(url, fallback) {
+        const base = fallback ? this.getFallbackUrl() : CONFIG.pmtilesBaseUrl;
+        this.retryCount += 1;
+        return `pmtiles://${base}/${this.getFile(url)}?retry=${this.retryCount}`;
+    }
+};
+
+class TileTracker {
+    /**
+     * Start tracking a map's PMTiles sources
+     * `handlers` has onLoadingChange(loading), onRetry(label, fallback) and
+     * onFailure(label, retry), where `retry` starts over from the CDN.
+     */
+    constructor(map, handlers) {
+        this.map = map;
+        this.handlers = handlers;
+        this.status = new Map();  // Source id -> 'loading' | 'retrying' | 'failed'
+        this.retries = new Map();  // Source id -> { url, attempt, fallback, timer } of a failing source
+
+        map.on('sourcedataloading', (e) => {
+            if (!this.isTracked(e.sourceId) || this.status.get(e.sourceId) === 'retrying') return;
+            this.setStatus(e.sourceId, 'loading');
+        });
+        map.on('sourcedata', (e) => {
+            if (!this.isTracked(e.sourceId)) return;
+            if (e.sourceDataType === 'metadata') this.handleLoaded(e.sourceId);
+            if (e.isSourceLoaded && this.status.get(e.sourceId) === 'loading') this.setStatus(e.sourceId, null);
+        });
+        map.on('idle', () => {
+            // Everything has loaded, including sources removed before reporting back
+            [...this.status.entries()]
+                .filter(([sourceId, status]) => status === 'loading' || !map.getSource(sourceId))
+                .forEach(([sourceId]) => this.setStatus(sourceId, null));
+        });
+        map.on('error', (e) => {
+            // Errors of single tiles are left alone; those without a tile mean the archive did not open.
+            // Only errors not retried and reported to the app are logged.
+            if (!e.tile && this.isTracked(e.sourceId)) {
+                this.handleError(e.sourceId);
+            } else {
+                console.error(e.error || e);
+            }
+        });
+    }
+
+    /**
+     * Cancel pending retries and forget every source, before the map is removed
+     */
+    detach() {
+        this.retries.forEach(state => clearTimeout(state.timer));
+        this.retries.clear();
+        [...this.status.keys()].forEach(sourceId => this.setStatus(sourceId, null));
+    }
+
+    /**
+     * Whether a source reads a PMTiles archive
+     */
+    isTracked(sourceId) {
+        const source = sourceId && this.map.getSource(sourceId);
+        return Boolean(source && typeof source.url === 'string' && source.url.startsWith('pmtiles://'));
+    }
+
+    /**
+     * Record a source's load status and tell the app whether anything is still loading
+     */
+    setStatus(sourceId, status) {
+        const wasLoading = this.isLoading();
+        if (status) {
+            this.status.set(sourceId, status);
+        } else {
+            this.status.delete(sourceId);
+        }
+        if (this.isLoading() !== wasLoading && this.handlers.onLoadingChange) {
+            this.handlers.onLoadingChange(this.isLoading());
+        }
+    }
+
+    /**
+     * Whether a source is loading or waiting to be retried
+     */
+    isLoading() {
+        return [...this.status.values()].some(status => status !== 'failed');
+    }
+
+    /**
+     * Retry a source whose archive failed to open, from the same base URL while
+     * retries remain, then from the fallback; give up after that
+     * Errors of a source already waiting for a retry are ignored.
+     */
+    handleError(sourceId) {
+        const source = this.map.getSource(sourceId);
+        const previous = this.retries.get(sourceId);
+        if (previous && previous.timer) return;
+
+        const label = TILES.getLabel(source.url);
+        const fresh = !previous || previous.url !== source.url;
+        const state = fresh
+            ? { url: source.url, attempt: 0, fallback: source.url.startsWith(`pmtiles://${TILES.getFallbackUrl()}/`), timer: null }
+            : previous;
+        let delay = 0;
+
+        if (state.attempt < TILES.retryDelays.length) {
+            delay = TILES.retryDelays[state.attempt];
+            state.attempt += 1;
+            if (fresh && this.handlers.onRetry) this.handlers.onRetry(label, false);
+        } else if (!state.fallback && TILES.getFallbackUrl() !== CONFIG.pmtilesBaseUrl) {
+            state.attempt = 0;
+            state.fallback = true;
+            if (this.handlers.onRetry) this.handlers.onRetry(label, true);
+        } else {
+            this.retries.delete(sourceId);
+            this.setStatus(sourceId, 'failed');
+            if (this.handlers.onFailure) this.handlers.onFailure(label, () => this.retry(sourceId));
+            return;
+        }
+
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            const current = this.map.getSource(sourceId);
+            if (!current || current.url !== state.url) {
+                this.retries.delete(sourceId);
+                this.setStatus(sourceId, null);
+                return;
+            }
+            state.url = TILES.getRetryUrl(current.url, state.fallback);
+            current.setUrl(state.url);
+        }, delay);
+        this.retries.set(sourceId, state);
+        this.setStatus(sourceId, 'retrying');
+    }
+
+    /**
+     * Forget a source's retries once its archive has opened
+     * An archive read from the fallback switches later archives to it as well.
+     */
+    handleLoaded(sourceId) {
+        const state = this.retries.get(sourceId);
+        if (!state || state.timer || state.url !== this.map.getSource(sourceId).url) return;
+
+        this.retries.delete(sourceId);
+        this.setStatus(sourceId, 'loading');
+        if (state.fallback) TILES.useFallback = true;
+    }
+
+    /**
+     * Start retrying a failed source over, from the CDN
+     */
+    retry(sourceId) {
+        const source = this.map.getSource(sourceId);
+        if (!source) return;
+
+        const url = TILES.getRetryUrl(source.url, false);
+        this.retries.set(sourceId, { url, attempt: 0, fallback: false, timer: null });
+        this.setStatus(sourceId, 'retrying');
+        source.setUrl(url);
+    }
+}
@@ -0,0 +1,84 @@
+// Timeline of multi-period data for EV Modelling Web Visualization
+// A layer has periods (years such as 2030, or quarters such as 2024q1) when
+// its archives carry one attribute per period, named after the colour property
+// (adoption_propensity_score_2030), or when it has one archive per period
+// (zettrans_adoption_propensity_2030.pmtiles, see MANIFEST.getPeriodArchives).
+// Frames share one colour domain over all periods so they can be compared.
+
+const TIMELINE = {
+    periodPattern: /^\d{4}(?:q[1-4])?$/i,
+    frameInterval: 1500,  // Milliseconds per frame while playing
+
+    /**
+     * Describe the periods of a layer, or null when it has fewer than two
+     * `baseIds` are its archive ids without a period (one per region shown),
+     * `archives` the archives in use and `property` its colour property.
+     * Returns { kind: 'attribute' | 'archive', periods, domain }.
+     */
+    getTimeline(baseIds, archives, property) {
+        const attributePeriods = this.getAttributePeriods(archives, property);
+        if (attributePeriods.length > 1) {
+            const properties = attributePeriods.map(period => this.getPeriodProperty(property, period));
+            return { kind: 'attribute', periods: attributePeriods, domain: this.getDomain(archives, properties) };
+        }
+
+        const periodArchives = baseIds.flatMap(baseId => MANIFEST.getPeriodArchives(baseId));
+        const archivePeriods = [...new Set(periodArchives.map(a => a.period))].sort();
+        if (archivePeriods.length > 1) {
+            return { kind: 'archive', periods: archivePeriods, domain: this.getDomain(periodArchives, [property]) };
+        }
+        return null;
+    },
+
+    /**
+     * Periods with a `${property}_${period}` attribute in some archives, earliest first
+     */
+    getAttributePeriods(archives, property) {
+        const prefix = `${property}_`;
+        const periods = new Set();
+        archives.forEach(archive => {
+            Object.entries(archive.attributes || {}).forEach(([name, attr]) => {
+                const period = name.slice(prefix.length);
+                if (name.startsWith(prefix) && attr.type === 'number' && this.periodPattern.test(period)) {
+                    periods.add(period);
+                }
+            });
+        });
+        return [...periods].sort();
+    },
+
+    /**
+     * Name of a property's attribute for one period
+     */
+    getPeriodProperty(property, period) {
+        return `${property}_${period}`;
+    },
+
+    /**
+     * Domain over several properties of some archives
+     */
+    getDomain(archives, properties) {
+        const domains = properties
+            .map(property => LAYERS.getAttributeDomain(archives, property))
+            .filter(Boolean);
+        if (domains.length === 0) return null;
+        return LAYERS.normalizeDomain([
+            Math.min(...domains.map(d => d[0])),
+            Math.max(...domains.map(d => d[1]))
+        ]);
+    },
+
+    /**
+     * Archive of a layer for one period, or null
+     */
+    getPeriodArchive(baseId, period) {
+        return MANIFEST.getPeriodArchives(baseId).find(a => a.period === period) || null;
+    },
+
+    /**
+     * Format a period for display ('2024q1' becomes '2024 Q1')
+     */
+    formatPeriod(period) {
+        return period.replace(/q(\d)$/i, ' Q$1');
+    }
+};
@@ -0,0 +1,149 @@
+// URL hash state for EV Modelling Web Visualization
+// Encodes the current view so it can be shared as a link, e.g.
+// #region=zettrans&stage=adoption_propensity&basemap=light&overlays=chargers&map=8.50/60.1500/-1.2000
+
+const URL_STATE = {
+    // Overlay keys as they appear in the hash, mapped to app state flags
+    overlayFlags: {
+        chargers: 'showChargers',
+        car_availability: 'showCarAvailability',
+        ev_distribution: 'showEvDistribution'
+    },
+    // Polygon overlays, topmost first, unless the link gives another order
+    defaultOverlayOrder: ['ev_distribution', 'car_availability'],
+
+    /**
+     * Parse the location hash into a raw state object.
+     * Only keys present in the hash are returned; validation happens in sanitize().
+     */
+    parse(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const state = {};
+
+        if (params.has('region')) state.region = params.get('region');
+        if (params.has('stage')) state.stage = params.get('stage');
+        if (params.has('basemap')) state.basemap = params.get('basemap');
+        if (params.has('analysis')) state.showAnalysisLayer = params.get('analysis') !== '0';
+        if (params.has('range')) state.rangeKm = Number(params.get('range'));
+        if (params.has('order')) state.overlayOrder = params.get('order').split(',').filter(Boolean);
+
+        if (params.has('overlays')) {
+            const overlays = params.get('overlays').split(',').filter(Boolean);
+            Object.entries(this.overlayFlags).forEach(([key, flag]) => {
+                state[flag] = overlays.includes(key);
+            });
+        }
+
+        // Camera: zoom/lat/lng[/bearing/pitch], same order as MapLibre's own hash
+        if (params.has('map')) {
+            const parts = params.get('map').split('/').map(Number);
+            if (parts.length >= 3 && parts.slice(0, 3).every(Number.isFinite)) {
+                state.camera = {
+                    zoom: parts[0],
+                    center: [parts[2], parts[1]],
+                    bearing: Number.isFinite(parts[3]) ? parts[3] : 0,
+                    pitch: Number.isFinite(parts[4]) ? parts[4] : 0
+                };
+            }
+        }
+
+        return state;
+    },
+
+    /**
+     * Drop or replace values that do not exist in the current configuration.
+     * `defaults` supplies the fallback for anything missing or invalid.
+     */
+    sanitize(state, defaults) {
+        const result = { ...defaults, ...state };
+
+        if (result.region !== 'all' && !MANIFEST.getRegions().some(r => r.id === result.region && r.hasData)) {
+            result.region = defaults.region;
+        }
+
+        if (!this.isStageAvailable(result.region, result.stage)) {
+            // Keep the region but pick the first stage that has data for it
+            const fallback = CONFIG.stages.find(s => this.isStageAvailable(result.region, s.id));
+            result.stage = fallback ? fallback.id : defaults.stage;
+        }
+
+        if (!CONFIG.basemaps[result.basemap]) {
+            result.basemap = defaults.basemap;
+        }
+
+        result.rangeKm = Number.isFinite(result.rangeKm) ? RANGE.clamp(result.rangeKm) : RANGE.defaultKm;
+
+        // Known overlays in the given order, then any left out in their default order
+        result.overlayOrder = [...new Set([
+            ...(Array.isArray(result.overlayOrder) ? result.overlayOrder : []).filter(id => this.defaultOverlayOrder.includes(id)),
+            ...this.defaultOverlayOrder
+        ])];
+
+        // Overlays whose archive is missing from the manifest cannot be shown
+        Object.entries(this.overlayFlags).forEach(([key, flag]) => {
+            if (result[flag] && !MANIFEST.get(key)) {
+                result[flag] = false;
+            }
+        });
+
+        if (result.camera) {
+            const { zoom, center } = result.camera;
+            const [[west, south], [east, north]] = CONFIG.map.bounds;
+            const inBounds = center[0] >= west && center[0] <= east &&
+                center[1] >= south && center[1] <= north;
+            if (!inBounds) {
+                delete result.camera;
+            } else {
+                result.camera.zoom = Math.min(Math.max(zoom, CONFIG.map.minZoom), CONFIG.map.maxZoom);
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Check whether a stage has at least one PMTiles file for the region ('all' = any region)
+     */
+    isStageAvailable(region, stage) {
+        return CONFIG.stages.some(s => s.id === stage) && MANIFEST.hasStage(region, stage);
+    },
+
+    /**
+     * Serialize app state into a hash string (including the leading '#')
+     */
+    serialize(state) {
+        const overlays = Object.entries(this.overlayFlags)
+            .filter(([, flag]) => state[flag])
+            .map(([key]) => key);
+
+        const parts = [
+            `region=${encodeURIComponent(state.region)}`,
+            `stage=${encodeURIComponent(state.stage)}`,
+            `basemap=${encodeURIComponent(state.basemap)}`,
+            `overlays=${overlays.join(',')}`
+        ];
+
+        if (!state.showAnalysisLayer) {
+            parts.push('analysis=0');
+        }
+
+        if (state.rangeKm !== RANGE.defaultKm) {
+            parts.push(`range=${state.rangeKm}`);
+        }
+
+        if (state.overlayOrder.join(',') !== this.defaultOverlayOrder.join(',')) {
+            parts.push(`order=${state.overlayOrder.join(',')}`);
+        }
+
+        if (state.camera) {
+            const { zoom, center, bearing, pitch } = state.camera;
+            let map = `${zoom.toFixed(2)}/${center[1].toFixed(4)}/${center[0].toFixed(4)}`;
+            if (bearing || pitch) {
+                map += `/${Math.round(bearing)}/${Math.round(pitch)}`;
+            }
+            parts.push(`map=${map}`);
+        }
+
+        return '#' + parts.join('&');
+    }
+};
@@ -0,0 +1,176 @@
+// Custom weighting of the integrated score for EV Modelling Web Visualization
+// The integrated stage's zones carry the component indicators behind
+// integrated_score. A custom score is their weighted mean, each indicator
+// rescaled to 0–1 over its range in all archives of the stage, so it can be styled
+// with a MapLibre expression and recomputed as the weights change.
+
+const WEIGHTING = {
+    stage: 'integrated_conversion_with_ev_types',
+    scoreProperty: 'custom_score',  // Name of the computed score in tooltips and the info panel
+    storageKey: 'evModelling.weightPresets',
+    domain: [0, 1],  // Fixed, so colours stay comparable across weightings
+    maxWeight: 10,
+    components: [
+        { property: 'final_adoption_propensity', label: 'Adoption propensity' },
+        { property: 'accessibility_score', label: 'Charging accessibility' },
+        { property: 'purpose_weight', label: 'Purpose weight' },
+        { property: 'vehicle_suitability_factor', label: 'Vehicle suitability' },
+        { property: 'affordability_factor', label: 'Affordability' },
+        { property: 'infrastructure_factor', label: 'Infrastructure' }
+    ],
+    // Built-in presets; components left out get no weight
+    presets: {
+        'Equal weights': {
+            final_adoption_propensity: 1, accessibility_score: 1, purpose_weight: 1,
+            vehicle_suitability_factor: 1, affordability_factor: 1, infrastructure_factor: 1
+        },
+        'Demand-led': { final_adoption_propensity: 3, purpose_weight: 2, vehicle_suitability_factor: 1 },
+        'Infrastructure-led': { accessibility_score: 3, infrastructure_factor: 2, final_adoption_propensity: 1 }
+    },
+    defaultWeights: { final_adoption_propensity: 1, accessibility_score: 1, purpose_weight: 1 },
+    saved: {},  // User presets by name
+
+    /**
+     * Load the saved presets from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.saved = saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.warn('Ignoring saved weight presets:', error);
+            this.saved = {};
+        }
+    },
+
+    /**
+     * Save the presets to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.warn('Failed to save weight presets:', error);
+        }
+    },
+
+    /**
+     * Save weights as a named preset, replacing one of the same name
+     */
+    savePreset(name, weights) {
+        this.saved[name] = { ...weights };
+        this.save();
+    },
+
+    /**
+     * Delete a saved preset
+     */
+    deletePreset(name) {
+        delete this.saved[name];
+        this.save();
+    },
+
+    /**
+     * Weights of a preset for every component ('builtin:Name' or 'saved:Name'), or null
+     */
+    getPreset(key) {
+        const [group, ...rest] = key.split(':');
+        const name = rest.join(':');
+        const preset = group === 'builtin' ? this.presets[name] : this.saved[name];
+        if (!preset) return null;
+        return Object.fromEntries(this.components.map(c => [c.property, this.clampWeight(preset[c.property] || 0)]));
+    },
+
+    /**
+     * Clamp a weight to the sliders' whole-number range
+     */
+    clampWeight(weight) {
+        const value = Math.round(Number(weight));
+        return Number.isFinite(value) ? Math.min(Math.max(value, 0), this.maxWeight) : 0;
+    },
+
+    /**
+     * Components present in some archives, with their value range across them
+     * Returns [{ property, label, domain }].
+     */
+    getComponents(archives) {
+        return this.components
+            .map(component => ({ ...component, domain: LAYERS.getAttributeDomain(archives, component.property) }))
+            .filter(component => component.domain);
+    },
+
+    /**
+     * Share of the total weight of each component with a weight, or null when all are zero
+     */
+    getShares(weights, components) {
+        const total = components.reduce((sum, c) => sum + (weights[c.property] || 0), 0);
+        if (total === 0) return null;
+        return components
+            .filter(c => weights[c.property] > 0)
+            .map(c => ({ ...c, share: weights[c.property] / total }));
+    },
+
+    /**
+     * Expression for the custom score of a zone, or null when all weights are zero
+     * A missing indicator counts as the bottom of its range.
+     */
+    getExpression(weights, components) {
+        const shares = this.getShares(weights, components);
+        if (!shares) return null;
+
+        const terms = shares.map(({ property, domain: [min, max], share }) => [
+            '*', share / (max - min), ['-', ['coalesce', ['get', property], min], min]
+        ]);
+        return terms.length === 1 ? terms[0] : ['+', ...terms];
+    },
+
+    /**
+     * Custom score of a zone's properties (same as getExpression), or null
+     */
+    compute(props, weights, components) {
+        const shares = this.getShares(weights, components);
+        if (!shares) return null;
+
+        return shares.reduce((score, { property, domain: [min, max], share }) => {
+            const value = typeof props[property] === 'number' ? props[property] : min;
+            return score + share * (value - min) / (max - min);
+        }, 0);
+    },
+
+    /**
+     * Format a share of the total weight as a percentage
+     */
+    formatShare(share) {
+        return `${(share * 100).toFixed(0)}%`;
+    },
+
+    /**
+     * Generate a slider per component; the share next to each is filled in by the app
+     */
+    generateSliders(weights, components) {
+        return components.map(({ property, label }) => `
+            <div class="slider-row weighting-row">
+                <label for="weighting-${property}">${label}</label>
+                <input type="range" id="weighting-${property}" data-property="${property}"
+                    min="0" max="${this.maxWeight}" step="1" value="${weights[property] || 0}">
+                <span></span>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Generate the preset options, built-in first
+     */
+    generatePresetOptions() {
+        const options = (group, names) => names
+            .map(name => `<option value="${group}:${SEARCH.escapeHtml(name)}">${SEARCH.escapeHtml(name)}</option>`)
+            .join('');
+        const saved = Object.keys(this.saved).sort();
+
+        return `
+            <option value="">Presets…</option>
+            <optgroup label="Built-in">${options('builtin', Object.keys(this.presets))}</optgroup>
+            ${saved.length > 0 ? `<optgroup label="Saved">${options('saved', saved)}</optgroup>` : ''}
+        `;
+    }
+};